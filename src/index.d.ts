@@ -9,6 +9,7 @@ declare module 'discord-akairo' {
     } from 'discord.js';
 
     import { EventEmitter } from 'events';
+    import { FSWatcher } from 'fs';
     import { Stream } from 'stream';
 
     module 'discord.js' {
@@ -24,10 +25,15 @@ declare module 'discord-akairo' {
     export class AkairoClient extends Client {
         public constructor(options?: AkairoOptions & ClientOptions, clientOptions?: ClientOptions);
 
+        public handlers: Set<AkairoHandler>;
         public ownerID: Snowflake | Snowflake[];
+        public plugins: Collection<string, AkairoPlugin>;
+        public providers: Collection<string, Provider>;
         public util: ClientUtil;
 
         public isOwner(user: UserResolvable): boolean;
+        public unuse(plugin: string | AkairoPlugin): Promise<AkairoPlugin>;
+        public use(plugin: AkairoPlugin | AkairoPluginData, options?: any): Promise<AkairoPlugin>;
     }
 
     export class AkairoHandler extends EventEmitter {
@@ -36,25 +42,101 @@ declare module 'discord-akairo' {
         public automateCategories: boolean;
         public extensions: Set<string>;
         public categories: Collection<string, Category<string, AkairoModule>>;
+        public categoryFile: string;
         public classToHandle: Function;
         public client: AkairoClient;
-        public directory: string;
+        public directory: string | string[];
+        public disabledKey: string;
+        public disabledProvider: Provider | null;
+        public evictDependencies: boolean;
+        public exclude: RegExp[];
+        public followSymlinks: boolean;
+        public ignoreFile: string | null;
+        public include: RegExp[];
+        public lastLoadResults: LoadResults<AkairoModule> | null;
+        public loadErrors: 'throw' | 'collect' | 'strict';
         public loadFiler: LoadPredicate;
         public modules: Collection<string, AkairoModule>;
-
+        public pending: Collection<string, AkairoModule>;
+        public watch: boolean;
+        public watchDebounce: number;
+        public watchers: Map<string, FSWatcher>;
+        public watchTimeouts: Map<string, NodeJS.Timer>;
+
+        public applyCategoryDefaults(mod: AkairoModule): void;
+        public catchHook(mod: AkairoModule, ret: any, isLoad?: boolean): void;
+        public checkLoadable(mod: AkairoModule): void;
+        public checkRemovable(mod: AkairoModule): void;
+        public constructModule(thing: string | Function | ModuleDefinition, Mod: Function | null): AkairoModule | undefined;
+        public constructReloaded(mod: AkairoModule, exported: any): AkairoModule;
+        public create(definition: ModuleDefinition): AkairoModule;
         public deregister(mod: AkairoModule): void;
+        public discover(directory: string, root?: string, directories?: boolean): string[];
+        public discoverAsync(directory: string, root?: string): Promise<string[]>;
+        public emitLoadError(err: Error, filepath: string): void;
+        public failCircularDependencies(results?: LoadResults<AkairoModule>): void;
+        public failMissingDependencies(results?: LoadResults<AkairoModule>): void;
+        public failLoad(err: Error, filepath: string, results?: LoadResults<AkairoModule> | null): void;
+        public emitReloadError(err: Error, mod: AkairoModule): void;
+        public evictRequired(mods: AkairoModule[]): void;
         public findCategory(name: string): Category<string, AkairoModule>;
-        public load(thing: string | Function, isReload?: boolean): AkairoModule;
-        public loadAll(directory?: string, filter?: LoadPredicate): this;
+        public findCircularDependency(): AkairoModule[] | null;
+        public findDependency(id: string): AkairoModule | null;
+        public findExport(m: any): Function | null;
+        public findRequiredFiles(filepath: string): string[];
+        public findRequiring(filepath: string): AkairoModule[];
+        public finishLoadAll(results: LoadResults<AkairoModule>): this;
+        public getDependents(mod: AkairoModule): AkairoModule[];
+        public handleWatchedChange(filepath: string, root: string): Promise<void>;
+        public hasDependencies(mod: AkairoModule): boolean;
+        public importFile(filepath: string, fresh?: boolean): Promise<any>;
+        public instantiate(thing: string | Function | ModuleDefinition): AkairoModule | undefined;
+        public instantiateAsync(thing: string | Function | ModuleDefinition): Promise<AkairoModule | undefined>;
+        public isDiscoverable(root: string, filepath: string, isDirectory: boolean, ignore?: IgnoreRule[]): boolean;
+        public isDisabledIn(mod: AkairoModule, guild?: Guild | Snowflake | null): boolean;
+        public load(thing: string | Function | ModuleDefinition | AkairoModule, isReload?: boolean): AkairoModule;
+        public loadAll(directory?: string | string[], filter?: LoadPredicate): this;
+        public loadAllAsync(directory?: string | string[], filter?: LoadPredicate): Promise<this>;
+        public loadAsync(thing: string | Function | ModuleDefinition | AkairoModule, isReload?: boolean): Promise<AkairoModule>;
+        public loadPending(results?: LoadResults<AkairoModule>): void;
+        public loadPendingAsync(results?: LoadResults<AkairoModule>): Promise<void>;
+        public queue(mod: AkairoModule | undefined, filepath: string): void;
+        public queueAll(directory: string, filter: LoadPredicate, results: LoadResults<AkairoModule>): void;
+        public queueAllAsync(directory: string, filter: LoadPredicate, results: LoadResults<AkairoModule>): Promise<void>;
         public register(mod: AkairoModule, filepath?: string): void;
         public reload(id: string): AkairoModule;
-        public reloadAll(): this;
+        public reloadAll(mods?: Iterable<AkairoModule>): ReloadResults<AkairoModule>;
+        public reloadAsync(id: string): Promise<AkairoModule>;
+        public reloadModule(mod: AkairoModule): AkairoModule;
+        public reloadModuleAsync(mod: AkairoModule): Promise<AkairoModule>;
+        public reloadRequiring(filepath: string): ReloadResults<AkairoModule>;
+        public reloadRequiringAsync(filepath: string): Promise<AkairoModule[]>;
+        public reloadSingle(mod: AkairoModule): AkairoModule;
+        public reloadSingleAsync(mod: AkairoModule): Promise<AkairoModule>;
+        public setDisabledIn(mod: AkairoModule, guild: Guild | Snowflake, disabled: boolean): Promise<boolean>;
+        public sortWithDependents(mods: Iterable<AkairoModule>): AkairoModule[];
         public remove(id: string): AkairoModule;
         public removeAll(): this;
-        public on(event: 'remove', listener: (mod: AkairoModule) => any): this;
+        public removeAsync(id: string): Promise<AkairoModule>;
+        public queueWatchedChange(filepath: string, root?: string): void;
+        public readCategoryFile(directory: string): CategoryOptions;
+        public readIgnoreFile(directory: string): IgnoreRule[];
+        public registerCategory(id: string, options?: CategoryOptions): Category<string, AkairoModule>;
+        public startWatching(directory?: string | string[]): this;
+        public transferState(mod: AkairoModule, newMod: AkairoModule): void;
+        public swapModule(mod: AkairoModule, newMod: AkairoModule, cached: Map<string, object | undefined>): AkairoModule;
+        public stopWatching(): this;
+        public uncacheFile(filepath: string): Map<string, object | undefined>;
+        public unwatchDirectory(directory: string): void;
+        public watchDirectory(directory: string, root: string): void;
+        public on(event: 'remove' | 'reload', listener: (mod: AkairoModule) => any): this;
         public on(event: 'load', listener: (mod: AkairoModule, isReload: boolean) => any): this;
+        public on(event: 'loadError', listener: (error: Error, filepath: string) => any): this;
+        public on(event: 'reloadError', listener: (error: Error, mod: AkairoModule) => any): this;
 
+        public static parseIgnoreFile(text: string): IgnoreRule[];
         public static readdirRecursive(directory: string): string[];
+        public static restoreCache(cached: Map<string, object | undefined>): void;
     }
 
     export class AkairoModule {
@@ -63,12 +145,63 @@ declare module 'discord-akairo' {
         public category: Category<string, AkairoModule>;
         public categoryID: string;
         public client: AkairoClient;
+        public dependencies: string[];
+        public stateVersion: number;
+        public enabled: boolean;
         public filepath: string;
         public handler: AkairoHandler;
         public id: string;
-
+        public intervals: Set<NodeJS.Timer>;
+        public timeouts: Set<NodeJS.Timer>;
+
+        public clearInterval(interval: NodeJS.Timer): void;
+        public clearTimeout(timeout: NodeJS.Timer): void;
+        public clearTimers(): void;
+        public disable(): boolean;
+        public disableIn(guild: Guild | Snowflake): Promise<boolean>;
+        public enable(): boolean;
+        public enableIn(guild: Guild | Snowflake): Promise<boolean>;
+        public isEnabledIn(guild?: Guild | Snowflake | null): boolean;
+        public onLoad(): any;
+        public onReload(oldMod: this): any;
+        public onUnload(): any;
         public reload(): this;
         public remove(): this;
+        public restoreState(state: ModuleState): void;
+        public serializeState(): any;
+        public setInterval(fn: (...args: any[]) => void, delay: number, ...args: any[]): NodeJS.Timer;
+        public setTimeout(fn: (...args: any[]) => void, delay: number, ...args: any[]): NodeJS.Timer;
+        public toJSON(): object;
+
+        public static define(definition: ModuleDefinition): typeof AkairoModule;
+    }
+
+    export class AkairoPlugin {
+        public constructor(id: string, options?: AkairoPluginOptions);
+
+        public client: AkairoClient | null;
+        public contents: AkairoPluginContents;
+        public id: string;
+        public modules: Collection<string, AkairoModule>;
+        public namespace: string;
+        public providers: Collection<string, Provider>;
+        public undos: (() => any)[];
+
+        public addTypes(types: { [name: string]: ArgumentTypeCaster }): this;
+        public createModule(thing: Function | AkairoModule): AkairoModule;
+        public findHandler(Mod: Function): AkairoHandler;
+        public findHandlers(fn: (handler: AkairoHandler) => any): AkairoHandler[];
+        public install(client: AkairoClient, options?: any): Promise<this>;
+        public loadModules(things: (Function | AkairoModule)[]): Promise<AkairoModule[]>;
+        public namespaced(id: string): string;
+        public onInstall(options: any): any;
+        public onUninstall(): any;
+        public removeContents(): Promise<void>;
+        public setEmitters(emitters: { [key: string]: EventEmitter }): this;
+        public setProvider(key: string, provider: Provider): Promise<Provider>;
+        public uninstall(): Promise<this>;
+
+        public static restore(collection: Collection<any, any>, previous: Collection<any, any>): void;
     }
 
     export class Argument {
@@ -89,11 +222,15 @@ declare module 'discord-akairo' {
         public unordered: boolean | number | number[];
 
         public allow(message: Message, args: any): boolean;
-        public cast(phrase: string, message: Message, args?: any): Promise<any>;
+        public cast(phrase: string, message: Message, args?: any, signal?: AbortSignalLike | CommandSignal | null): Promise<any>;
         public collect(message: Message, args?: any, commandInput?: string): Promise<ParsingFlag | any>;
+        public getUsage(optional?: boolean): string | null;
+        public isPromptOptional(): boolean;
+        public isRequired(): boolean;
         public process(phrase: string, message: Message, args?: any): Promise<any>;
+        public toJSON(): object;
 
-        public static cast(type: ArgumentType | ArgumentTypeCaster, resolver: TypeResolver, phrase: string, message: Message, args?: any): Promise<any>;
+        public static cast(type: ArgumentType | ArgumentTypeCaster, resolver: TypeResolver, phrase: string, message: Message, args?: any, signal?: AbortSignalLike | CommandSignal | null): Promise<any>;
         public static compose(type1: ArgumentType | ArgumentTypeCaster, type2: ArgumentType | ArgumentTypeCaster): ArgumentTypeCaster;
         public static range(type: ArgumentType | ArgumentTypeCaster, min: number, max: number, inclusive?: boolean): ArgumentTypeCaster;
         public static tuple(...types: (ArgumentType | ArgumentTypeCaster)[]): ArgumentTypeCaster;
@@ -109,18 +246,30 @@ declare module 'discord-akairo' {
         public args: (ArgumentOptions | Control)[];
 
         public buildArgs(args: (ArgumentOptions | Control)[]): (Argument | Control)[];
+        public getUsage(): string;
         public parse(message: Message, content: string): Promise<object|ParsingFlag>;
+        public toJSON(): object[];
 
         public static getFlags(args: (ArgumentOptions | Control)[]): object;
     }
 
     export class Category<K, V> extends Collection<K, V> {
-        public constructor(id: string, iterable?: Iterable<[K, V][]>);
+        public constructor(id: string, iterable?: Iterable<[K, V][]>, options?: CategoryOptions);
 
+        public appliedDefaults: WeakMap<AkairoModule, string[]>;
+        public defaults: any;
+        public description: string;
+        public hidden: boolean;
         public id: string;
+        public name: string;
+        public order: number;
 
-        public reloadAll(): this;
+        public applyDefaults(mod: V, fallbacks?: object): void;
+        public reapplyDefaults(mod: V): void;
+        public reloadAll(): ReloadResults<V>;
         public removeAll(): this;
+        public setOptions(options: CategoryOptions): this;
+        public toJSON(): any;
     }
 
     export class ClientUtil {
@@ -165,30 +314,53 @@ declare module 'discord-akairo' {
         public client: AkairoClient;
         public clientPermissions: PermissionResolvable | PermissionResolvable[] | MissingPermissionSupplier;
         public cooldown?: number;
+        public cooldownBucket: string | null;
+        public cooldownScope: CooldownScope | null;
+        public cooldownWindow: CooldownWindow | null;
+        public customUsage: string | null;
         public defaultPrompt: ArgumentPromptOptions;
         public description: string | any;
         public editable: boolean;
+        public examples: string[];
         public filepath: string;
         public handler: CommandHandler;
         public id: string;
         public lock?: KeyGenerator;
         public locker?: Set<string>;
+        public middleware: CommandMiddleware[];
         public ignoreCooldown?: Snowflake | Snowflake[] | IgnoreCheckPredicate;
         public ignorePermissions?: Snowflake | Snowflake[] | IgnoreCheckPredicate;
+        public inheritedOptions: string[];
         public ownerOnly: boolean;
+        public parent: Command | null;
         public parser?: ContentParser;
         public prefix?: string | string[] | PrefixSupplier;
+        public readonly qualifiedID: string;
+        public readonly qualifiedName: string;
         public ratelimit: number;
         public regex: RegExp | RegexSupplier;
+        public subcommands: Collection<string, Command>;
+        public timeout: number | null;
         public typing: boolean;
+        public usage: string;
         public userPermissions: PermissionResolvable | PermissionResolvable[] | MissingPermissionSupplier;
 
+        public addSubcommand(thing: Function | Command | CommandDefinition): Command;
         public before(message: Message): any;
         public condition(message: Message): boolean;
-        public exec(message: Message, args: any): any;
+        public exec(message: Message, args: any, signal: AbortSignalLike | CommandSignal): any;
+        public findSubcommand(name: string): Command | null;
+        public generateUsage(): string;
+        public getNames(): string[];
+        public hasExec(): boolean;
         public parse(message: Message, content: string): Promise<object|ParsingFlag>;
         public reload(): this;
         public remove(): this;
+        public resolveSubcommand(content: string): { command: Command, content: string };
+        public setupSubcommands(): void;
+        public toJSON(): object;
+
+        public static define(definition: CommandDefinition): typeof Command;
     }
 
     export class CommandHandler extends AkairoHandler {
@@ -206,63 +378,156 @@ declare module 'discord-akairo' {
         public commandUtilLifetime: number;
         public commandUtils: Collection<string, CommandUtil>;
         public commandUtilSweepInterval: number;
-        public cooldowns: Collection<string, object>;
+        public cooldownBuckets: Collection<string, CooldownBucketOptions>;
+        /** @deprecated */
+        public readonly cooldowns: Collection<string, CooldownEntry> | null;
+        public cooldownStore: CooldownStore;
+        public cooldownSweepInterval: number;
         public defaultCooldown: number;
+        public defaultCooldownScope: CooldownScope;
+        public defaultCooldownWindow: CooldownWindow;
         public defaultPrompt: ArgumentPromptOptions;
-        public directory: string;
+        public defaultTimeout: number;
+        public directory: string | string[];
         public fetchMembers: boolean;
         public handleEdits: boolean;
         public ignoreCooldown: Snowflake | Snowflake[] | IgnoreCheckPredicate;
         public ignorePermissions: Snowflake | Snowflake[] | IgnoreCheckPredicate;
         public inhibitorHandler?: InhibitorHandler;
+        public invocations: Collection<Snowflake, CommandInvocation[]>;
+        public metrics: CommandMetrics;
+        public middleware: CommandMiddleware[];
         public modules: Collection<string, Command>;
         public prefix: string | string[] | PrefixSupplier;
         public prefixes: Collection<string | PrefixSupplier, Set<string>>;
+        public prefixManager: PrefixManager | null;
         public prompts: Collection<string, Set<string>>;
         public resolver: TypeResolver;
+        public sendSuggestions: boolean;
+        public sendUsage: boolean;
         public storeMessage: boolean;
+        public suggestionDistance: number;
+        public suggestionLimit: number;
+        public suggestionRatio: number;
 
         public add(filename: string): Command;
         public addPrompt(channel: Channel, user: User): void;
+        public applyCategoryDefaults(command: Command): void;
+        public cancelCommand(message: Message | Snowflake, command?: Command): number;
+        public canRun(message: Message, command: Command): Promise<boolean>;
         public deregister(command: Command): void;
         public emitError(err: Error, message: Message, command: Command): void;
+        public emitAborted(invocation: CommandInvocation): void;
+        public endInvocation(invocation: CommandInvocation): boolean;
+        public extendCooldown(target: Message | User | Snowflake, command: Command, time: number): Promise<CooldownEntry>;
+        public create(definition: CommandDefinition): Command;
         public findCategory(name: string): Category<string, Command>;
+        public exportCatalogue(options?: CatalogueOptions & { format?: 'json' }): object;
+        public exportCatalogue(options: CatalogueOptions & { format: 'markdown' }): string;
         public findCommand(name: string): Command;
+        public findExport(m: any): Function | null;
+        public findSuggestions(message: Message, alias: string): Promise<CommandSuggestion[]>;
+        public findMissingPermissions(message: Message, command: Command): Promise<MissingPermissions | null>;
+        public getCooldown(target: Message | User | Snowflake, command: Command): Promise<CooldownEntry | null>;
+        public getCooldownID(target: Message | User | Snowflake, command: Command): string;
+        public getCooldownScopeID(message: Message, scope: CooldownScope): string;
+        public getCooldownSettings(command: Command): CooldownSettings;
+        public getDisplayPrefix(message: Message): string;
+        public getInvocations(message: Message | Snowflake): CommandInvocation[];
+        public getSignal(message: Message | Snowflake, command?: Command): AbortSignalLike | CommandSignal | null;
+        public getTimeout(command: Command): number;
         public handle(message: Message): Promise<boolean | null>;
         public handleDirectCommand(message: Message, content: string, command: Command, ignore?: boolean): Promise<boolean | null>;
         public handleRegexAndConditionalCommands(message: Message): Promise<boolean>;
         public handleRegexCommands(message: Message): Promise<boolean>;
         public handleConditionalCommands(message: Message): Promise<boolean>;
         public hasPrompt(channel: Channel, user: User): boolean;
-        public load(thing: string | Function): Command;
-        public loadAll(directory?: string, filter?: LoadPredicate): this;
+        public load(thing: string | Function | ModuleDefinition | Command): Command;
+        public loadAll(directory?: string | string[], filter?: LoadPredicate): this;
+        public loadAllAsync(directory?: string | string[], filter?: LoadPredicate): Promise<this>;
+        public loadAsync(thing: string | Function | ModuleDefinition | Command): Promise<Command>;
         public parseCommand(message: Message): Promise<object | null>;
         public parseCommandWithOverwrittenPrefixes(message: Message): Promise<object | null>;
         public register(command: Command, filepath?: string): void;
         public reload(id: string): Command;
-        public reloadAll(): this;
+        public reloadAll(mods?: Iterable<Command>): ReloadResults<Command>;
+        public reloadAsync(id: string): Promise<Command>;
+        public reloadModule(command: Command): Command;
         public remove(id: string): Command;
         public removeAll(): this;
+        public removeAsync(id: string): Promise<Command>;
         public removePrompt(channel: Channel, user: User): void;
+        public replyWithUsage(message: Message, command: Command): Promise<Message | Message[]>;
+        public resetCooldown(target: Message | User | Snowflake, command: Command): Promise<boolean>;
         public runAllTypeInhibitors(message: Message): Promise<boolean>;
         public runPermissionChecks(message: Message, command: Command): Promise<boolean>;
         public runPreTypeInhibitors(message: Message): Promise<boolean>;
         public runPostTypeInhibitors(message: Message, command: Command): Promise<boolean>;
-        public runCooldowns(message: Message, command: Command): boolean;
-        public runCommand(message: Message, command: Command, args: any): Promise<void>;
+        public runSuggestions(message: Message, parsed: { prefix: string, alias: string }): Promise<CommandSuggestion[]>;
+        public runCooldowns(message: Message, command: Command): Promise<boolean>;
+        public runCommand(message: Message, command: Command, args: any, invocation?: CommandInvocation): Promise<void>;
+        public runMiddleware(context: MiddlewareContext, middleware: CommandMiddleware[], fn: () => any): Promise<void>;
+        public startInvocation(message: Message, command: Command): CommandInvocation;
+        public sweepCooldowns(): Promise<number>;
+        public untilAborted<T>(invocation: CommandInvocation, promise: Promise<T>): Promise<T | undefined>;
+        public unuse(fn: CommandMiddleware): boolean;
+        public use(fn: CommandMiddleware): this;
         public useInhibitorHandler(inhibitorHandler: InhibitorHandler): void;
         public useListenerHandler(ListenerHandler: ListenerHandler): void;
-        public on(event: 'remove', listener: (command: Command) => any): this;
+        public on(event: 'remove' | 'reload', listener: (command: Command) => any): this;
         public on(event: 'load', listener: (command: Command, isReload: boolean) => any): this;
+        public on(event: 'loadError', listener: (error: Error, filepath: string) => any): this;
+        public on(event: 'reloadError', listener: (error: Error, command: Command) => any): this;
+        public on(event: 'argumentFailed', listener: (message: Message, command: Command, argument: Argument, phrase: string) => any): this;
         public on(event: 'commandBlocked', listener: (message: Message, command: Command, reason: string) => any): this;
+        public on(event: 'commandDisabled', listener: (message: Message, command: Command) => any): this;
         public on(event: 'commandCancelled', listener: (message: Message, command: Command, retryMessage?: Message) => any): this;
         public on(event: 'commandFinished', listener: (message: Message, command: Command, args: any, returnValue: any) => any): this;
+        public on(event: 'commandSuggestion', listener: (message: Message, alias: string, suggestions: CommandSuggestion[]) => any): this;
         public on(event: 'commandStarted', listener: (message: Message, command: Command, args: any) => any): this;
-        public on(event: 'cooldown', listener: (message: Message, command: Command, remaining: number) => any): this;
+        public on(event: 'commandTimeout', listener: (message: Message, command: Command, timeout: number) => any): this;
+        public on(event: 'cooldown', listener: (message: Message, command: Command, remaining: number, data: { scope: CooldownScope, bucket: string }) => any): this;
         public on(event: 'error', listener: (error: Error, message: Message, command: Command) => any): this;
         public on(event: 'inPrompt' | 'messageInvalid', listener: (message: Message) => any): this;
         public on(event: 'messageBlocked', listener: (message: Message, reason: string) => any): this;
         public on(event: 'missingPermissions', listener: (message: Message, command: Command, type: 'client' | 'user', missing?: any) => any): this;
+        public on(event: 'missingSubcommand', listener: (message: Message, command: Command, content: string) => any): this;
+
+        public static renderCatalogue(catalogue: object): string;
+    }
+
+    export class CommandMetrics {
+        public constructor(handler: CommandHandler, options?: CommandMetricsOptions);
+
+        public buckets: number[];
+        public commands: Collection<string, CommandMetricsEntry>;
+        public handler: CommandHandler;
+        public prefix: string;
+
+        public block(command: Command | string, reason: string): number;
+        public get(command: Command | string): CommandMetricsEntry;
+        public increment(command: Command | string, counter: CommandMetricsCounter): number;
+        public observe(command: Command | string, histogram: 'parse' | 'exec', time: number): void;
+        public reset(command?: Command | string): void;
+        public snapshot(): { [id: string]: CommandMetricsEntry };
+        public startTimer(command: Command | string, histogram: 'parse' | 'exec'): () => number;
+        public toPrometheus(): string;
+
+        public static serialize(snapshot: { [id: string]: CommandMetricsEntry }, prefix?: string): string;
+    }
+
+    export class CommandSignal extends EventEmitter {
+        public constructor();
+
+        public aborted: boolean;
+        public reason: any;
+
+        public abort(reason?: any): boolean;
+        public addEventListener(event: 'abort', listener: (reason: any) => void): void;
+        public removeEventListener(event: 'abort', listener: (reason: any) => void): void;
+        public throwIfAborted(): void;
+
+        public static createController(): AbortControllerLike | CommandController;
     }
 
     export class CommandUtil {
@@ -361,6 +626,67 @@ declare module 'discord-akairo' {
 
     class CancelControl extends Control {}
 
+    export abstract class CooldownStore {
+        public queues: Map<string, Promise<void>>;
+
+        public abstract delete(id: string): any;
+        public abstract get(id: string): CooldownEntry | null | Promise<CooldownEntry | null>;
+        public abstract set(id: string, entry: CooldownEntry): any;
+        public sweep(now: number): number | Promise<number>;
+        public update(id: string, updater: CooldownUpdater): Promise<CooldownEntry | null>;
+
+        public static MemoryCooldownStore: typeof MemoryCooldownStore;
+        public static ProviderCooldownStore: typeof ProviderCooldownStore;
+
+        public static create(from?: CooldownStore | Provider): CooldownStore;
+    }
+
+    class MemoryCooldownStore extends CooldownStore {
+        public constructor();
+
+        public entries: Collection<string, CooldownEntry>;
+
+        public delete(id: string): boolean;
+        public get(id: string): CooldownEntry | null;
+        public set(id: string, entry: CooldownEntry): void;
+        public sweep(now: number): number;
+    }
+
+    class ProviderCooldownStore extends CooldownStore {
+        public constructor(provider: Provider, options?: { id?: string, key?: string });
+
+        public id: string;
+        public key: string;
+        public provider: Provider;
+
+        public delete(id: string): any;
+        public get(id: string): Promise<CooldownEntry | null>;
+        public getEntries(): { [id: string]: CooldownEntry };
+        public set(id: string, entry: CooldownEntry): any;
+        public sweep(now: number): Promise<number>;
+    }
+
+    export class HelpCommand extends Command {
+        public constructor(options?: HelpCommandOptions);
+
+        public hideUnusable: boolean;
+
+        public exec(message: Message, args: { query: string | null }): Promise<Message | Message[] | null>;
+        public findUsable(message: Message, query: string): Promise<Command | null>;
+        public formatCommand(message: Message, command: Command): any;
+        public formatList(message: Message, entries: HelpCategoryEntry[]): any;
+        public formatNotFound(message: Message, query: string): any;
+        public formatSearch(message: Message, query: string, commands: Command[]): any;
+        public formatUsage(message: Message, command: Command): string;
+        public getEntries(message: Message): Promise<HelpCategoryEntry[]>;
+        public getEntry(message: Message, category: Category<string, Command>): Promise<HelpCategoryEntry>;
+        public getPrefix(message: Message): string;
+        public isShown(message: Message, command: Command): Promise<boolean>;
+        public search(message: Message, query: string): Promise<Command[]>;
+
+        public static getDescription(command: Command): string;
+    }
+
     export class Inhibitor extends AkairoModule {
         public constructor(id: string, options?: InhibitorOptions);
 
@@ -369,12 +695,15 @@ declare module 'discord-akairo' {
         public filepath: string;
         public handler: InhibitorHandler;
         public id: string;
+        public pure: boolean;
         public reason: string;
         public type: string;
 
         public exec(message: Message, command?: Command): boolean | Promise<boolean>;
         public reload(): this;
         public remove(): this;
+
+        public static define(definition: InhibitorDefinition): typeof Inhibitor;
     }
 
     export class InhibitorHandler extends AkairoHandler {
@@ -383,21 +712,41 @@ declare module 'discord-akairo' {
         public categories: Collection<string, Category<string, Inhibitor>>;
         public classToHandle: typeof Inhibitor;
         public client: AkairoClient;
-        public directory: string;
+        public directory: string | string[];
         public modules: Collection<string, Inhibitor>;
 
         public deregister(inhibitor: Inhibitor): void;
+        public create(definition: InhibitorDefinition): Inhibitor;
         public findCategory(name: string): Category<string, Inhibitor>;
-        public load(thing: string | Function): Inhibitor;
-        public loadAll(directory?: string, filter?: LoadPredicate): this;
+        public load(thing: string | Function | ModuleDefinition | Inhibitor): Inhibitor;
+        public loadAll(directory?: string | string[], filter?: LoadPredicate): this;
+        public loadAllAsync(directory?: string | string[], filter?: LoadPredicate): Promise<this>;
+        public loadAsync(thing: string | Function | ModuleDefinition | Inhibitor): Promise<Inhibitor>;
         public register(inhibitor: Inhibitor, filepath?: string): void;
         public reload(id: string): Inhibitor;
-        public reloadAll(): this;
+        public reloadAll(mods?: Iterable<Inhibitor>): ReloadResults<Inhibitor>;
+        public reloadAsync(id: string): Promise<Inhibitor>;
+        public reloadModule(inhibitor: Inhibitor): Inhibitor;
         public remove(id: string): Inhibitor;
         public removeAll(): this;
-        public test(type: 'all' | 'pre' | 'post', message: Message, command?: Command): Promise<string | void>;
-        public on(event: 'remove', listener: (inhibitor: Inhibitor) => any): this;
+        public removeAsync(id: string): Promise<Inhibitor>;
+        public test(type: 'all' | 'pre' | 'post', message: Message, command?: Command, pureOnly?: boolean): Promise<string | void>;
+        public on(event: 'remove' | 'reload', listener: (inhibitor: Inhibitor) => any): this;
         public on(event: 'load', listener: (inhibitor: Inhibitor, isReload: boolean) => any): this;
+        public on(event: 'loadError', listener: (error: Error, filepath: string) => any): this;
+        public on(event: 'reloadError', listener: (error: Error, inhibitor: Inhibitor) => any): this;
+    }
+
+    export class JSONCommand extends Command {
+        public constructor(definition: JSONCommandDefinition);
+
+        public response: JSONCommandResponse | null;
+
+        public exec(message: Message, args: any): Promise<Message | Message[] | null>;
+
+        public static fill(template: any, args: any): any;
+        public static from(definition: JSONCommandDefinition): typeof JSONCommand;
+        public static isDefinition(definition: any): boolean;
     }
 
     export class Listener extends AkairoModule {
@@ -414,6 +763,8 @@ declare module 'discord-akairo' {
         public exec(...args: any[]): any;
         public reload(): this;
         public remove(): this;
+
+        public static define(definition: ListenerDefinition): typeof Listener;
     }
 
     export class ListenerHandler extends AkairoHandler {
@@ -422,32 +773,42 @@ declare module 'discord-akairo' {
         public categories: Collection<string, Category<string, Listener>>;
         public classToHandle: typeof Listener;
         public client: AkairoClient;
-        public directory: string;
+        public directory: string | string[];
         public emitters: Collection<string, EventEmitter>;
         public modules: Collection<string, Listener>;
 
         public add(filename: string): Listener;
         public addToEmitter(id: string): Listener;
         public deregister(listener: Listener): void;
+        public create(definition: ListenerDefinition): Listener;
         public findCategory(name: string): Category<string, Listener>;
-        public load(thing: string | Function): Listener;
-        public loadAll(directory?: string, filter?: LoadPredicate): this;
+        public load(thing: string | Function | ModuleDefinition | Listener): Listener;
+        public loadAll(directory?: string | string[], filter?: LoadPredicate): this;
+        public loadAllAsync(directory?: string | string[], filter?: LoadPredicate): Promise<this>;
+        public loadAsync(thing: string | Function | ModuleDefinition | Listener): Promise<Listener>;
         public register(listener: Listener, filepath?: string): void;
         public reload(id: string): Listener;
-        public reloadAll(): this;
+        public reloadAll(mods?: Iterable<Listener>): ReloadResults<Listener>;
+        public reloadAsync(id: string): Promise<Listener>;
+        public reloadModule(listener: Listener): Listener;
         public remove(id: string): Listener;
         public removeAll(): this;
+        public removeAsync(id: string): Promise<Listener>;
         public removeFromEmitter(id: string): Listener;
         public setEmitters(emitters: { [x: string]: EventEmitter }): void;
-        public on(event: 'remove', listener: (listener: Listener) => any): this;
+        public on(event: 'remove' | 'reload', listener: (listener: Listener) => any): this;
         public on(event: 'load', listener: (listener: Listener, isReload: boolean) => any): this;
+        public on(event: 'loadError', listener: (error: Error, filepath: string) => any): this;
+        public on(event: 'reloadError', listener: (error: Error, listener: Listener) => any): this;
     }
 
     export class ParsingFlag {
         public static CommandCancel: typeof CommandCancel;
         public static CommandRetry: typeof CommandRetry;
+        public static CommandFail: typeof CommandFail;
 
         public static cancel(): CommandCancel;
+        public static fail(argument: Argument, phrase: string): CommandFail;
         public static retry(message: Message): CommandRetry;
     }
 
@@ -459,6 +820,29 @@ declare module 'discord-akairo' {
         public message: Message;
     }
 
+    class CommandFail extends ParsingFlag {
+        public constructor(argument: Argument, phrase: string);
+
+        public argument: Argument;
+        public phrase: string;
+    }
+
+    export class PrefixManager {
+        public constructor(handler: CommandHandler, options: PrefixManagerOptions);
+
+        public cache: Collection<string, string[] | null>;
+        public handler: CommandHandler;
+        public key: string;
+        public provider: Provider;
+
+        public clearCache(target?: Guild | Channel | Snowflake, type?: 'guild' | 'channel'): void;
+        public get(target: Guild | Channel | Snowflake, type?: 'guild' | 'channel'): string[] | null;
+        public getEntryID(target: Guild | Channel | Snowflake, type?: 'guild' | 'channel'): string;
+        public resetPrefix(target: Guild | Channel | Snowflake, type?: 'guild' | 'channel'): Promise<boolean>;
+        public resolve(message: Message): Promise<string | string[]>;
+        public setPrefix(target: Guild | Channel | Snowflake, prefix: string | string[], type?: 'guild' | 'channel'): Promise<string[]>;
+    }
+
     export abstract class Provider {
         public items: Collection<string, any>;
 
@@ -516,26 +900,76 @@ declare module 'discord-akairo' {
     }
 
     export class Util {
+        public static distance(a: string, b: string): number;
+        public static globToRegExp(glob: string): RegExp;
+        public static isDefinition(value: any): boolean;
         public static isEventEmitter(value: any): boolean;
         public static isPromise(value: any): boolean;
+        public static serialize(value: any): any;
     }
 
+    export type AbortControllerLike = {
+        signal: AbortSignalLike;
+        abort(reason?: any): void;
+    };
+
+    export type AbortSignalLike = {
+        aborted: boolean;
+        reason?: any;
+        addEventListener(event: 'abort', listener: () => any): void;
+        removeEventListener(event: 'abort', listener: () => any): void;
+    };
+
     export type AkairoHandlerOptions = {
         automateCategories?: boolean;
+        categoryFile?: string;
         classToHandle?: string;
-        directory?: string;
+        directory?: string | string[];
+        disabledKey?: string;
+        disabledProvider?: Provider;
+        evictDependencies?: boolean;
+        exclude?: (string | RegExp)[];
         extensions?: string[] | Set<string>;
+        followSymlinks?: boolean;
+        ignoreFile?: string | null;
+        include?: (string | RegExp)[];
+        loadErrors?: 'throw' | 'collect' | 'strict';
         loadFilter?: LoadPredicate;
+        watch?: boolean;
+        watchDebounce?: number;
     };
 
     export type AkairoModuleOptions = {
         category?: string;
+        dependencies?: string[];
+        stateVersion?: number;
     };
 
     export type AkairoOptions = {
         ownerID?: Snowflake | Snowflake[];
     };
 
+    export type AkairoPluginContents = {
+        modules: (Function | AkairoModule)[];
+        types: { [name: string]: ArgumentTypeCaster };
+        emitters: { [key: string]: EventEmitter };
+        providers: { [key: string]: Provider };
+    };
+
+    export type AkairoPluginData = AkairoPluginOptions & {
+        id: string;
+    };
+
+    export type AkairoPluginOptions = {
+        namespace?: string;
+        modules?: (Function | AkairoModule)[];
+        types?: { [name: string]: ArgumentTypeCaster };
+        emitters?: { [key: string]: EventEmitter };
+        providers?: { [key: string]: Provider };
+        onInstall?: (this: AkairoPlugin, options: any) => any;
+        onUninstall?: (this: AkairoPlugin) => any;
+    };
+
     export type ArgumentOptions = {
         default?: DefaultValueSupplier | any;
         description?: StringResolvable;
@@ -577,6 +1011,30 @@ declare module 'discord-akairo' {
         timeout?: StringResolvable | MessageOptions | MessageAdditions | PromptContentSupplier;
     };
 
+    export type CatalogueOptions = {
+        format?: 'json' | 'markdown';
+        hidden?: boolean;
+    };
+
+    export type CategoryOptions = {
+        defaults?: any;
+        description?: string;
+        hidden?: boolean;
+        name?: string;
+        order?: number;
+    };
+
+    export type CommandController = {
+        signal: CommandSignal;
+        abort(reason?: any): void;
+    };
+
+    export type CommandDefinition = CommandOptions & {
+        id: string;
+        exec?: (this: Command, message: Message, args: any) => any;
+        [key: string]: any;
+    };
+
     export type CommandOptions = {
         aliases?: string[];
         args?: (ArgumentOptions | Control)[] | ArgumentProvider;
@@ -585,10 +1043,15 @@ declare module 'discord-akairo' {
         clientPermissions?: PermissionResolvable | PermissionResolvable[] | MissingPermissionSupplier;
         condition?: ExecutionPredicate;
         cooldown?: number;
+        cooldownBucket?: string;
+        cooldownScope?: CooldownScope;
+        cooldownWindow?: CooldownWindow;
         defaultPrompt?: ArgumentPromptOptions;
         description?: StringResolvable;
         editable?: boolean;
+        examples?: string | string[];
         lock?: KeyGenerator | 'guild' | 'channel' | 'user';
+        middleware?: CommandMiddleware | CommandMiddleware[];
         ignoreCooldown?: Snowflake | Snowflake[] | IgnoreCheckPredicate;
         ignorePermissions?: Snowflake | Snowflake[] | IgnoreCheckPredicate;
         ownerOnly?: boolean;
@@ -596,7 +1059,10 @@ declare module 'discord-akairo' {
         ratelimit?: number;
         regex?: RegExp | RegexSupplier;
         separator?: string;
+        subcommands?: (Function | Command | CommandDefinition)[];
+        timeout?: number;
         typing?: boolean;
+        usage?: string;
         userPermissions?: PermissionResolvable | PermissionResolvable[] | MissingPermissionSupplier;
         quoted?: boolean;
     } & AkairoModuleOptions;
@@ -609,16 +1075,71 @@ declare module 'discord-akairo' {
         commandUtil?: boolean;
         commandUtilLifetime?: number;
         commandUtilSweepInterval?: number;
+        cooldownBuckets?: { [name: string]: CooldownBucketOptions };
+        cooldownStore?: CooldownStore | Provider;
+        cooldownSweepInterval?: number;
         defaultCooldown?: number;
+        defaultCooldownScope?: CooldownScope;
+        defaultCooldownWindow?: CooldownWindow;
         defaultPrompt?: ArgumentPromptOptions;
+        defaultTimeout?: number;
         fetchMembers?: boolean;
         handleEdits?: boolean;
+        helpCommand?: boolean | HelpCommandOptions;
         ignoreCooldown?: Snowflake | Snowflake[] | IgnoreCheckPredicate;
         ignorePermissions?: Snowflake | Snowflake[] | IgnoreCheckPredicate;
+        metrics?: CommandMetricsOptions;
         prefix?: string | string[] | PrefixSupplier;
+        prefixKey?: string;
+        prefixProvider?: Provider;
+        sendSuggestions?: boolean;
+        sendUsage?: boolean;
         storeMessages?: boolean;
+        suggestionDistance?: number;
+        suggestionLimit?: number;
+        suggestionRatio?: number;
     } & AkairoHandlerOptions;
 
+    export type CommandInvocation = {
+        message: Message;
+        command: Command;
+        controller: AbortControllerLike | CommandController;
+        signal: AbortSignalLike | CommandSignal;
+        startedAt: number;
+        timeout: number;
+        timer: NodeJS.Timer | null;
+        timedOut: boolean;
+        settled: boolean;
+    };
+
+    export type CommandMetricsCounter = 'invocations' | 'finishes' | 'errors' | 'cancellations' | 'timeouts' | 'cooldowns' | 'permissionDenials';
+
+    export type CommandMetricsEntry = {
+        invocations: number;
+        finishes: number;
+        errors: number;
+        cancellations: number;
+        timeouts: number;
+        cooldowns: number;
+        permissionDenials: number;
+        blocks: { [reason: string]: number };
+        parse: LatencyHistogram;
+        exec: LatencyHistogram;
+    };
+
+    export type CommandMetricsOptions = {
+        buckets?: number[];
+        prefix?: string;
+    };
+
+    export type CommandMiddleware = (context: MiddlewareContext, next: () => Promise<void>) => any;
+
+    export type CommandSuggestion = {
+        command: Command;
+        alias: string;
+        distance: number;
+    };
+
     export type ContentParserOptions = {
         flagWords?: string[];
         optionFlagWords?: string[];
@@ -626,11 +1147,66 @@ declare module 'discord-akairo' {
         separator?: string;
     };
 
+    export type CooldownBucketOptions = {
+        cooldown: number;
+        ratelimit?: number;
+        scope?: CooldownScope;
+        window?: CooldownWindow;
+    };
+
+    export type CooldownEntry = {
+        end: number;
+        uses: number;
+        timestamps?: number[];
+    };
+
+    export type CooldownScope = 'user' | 'member' | 'channel' | 'guild' | 'role' | 'global';
+
+    export type CooldownSettings = {
+        bucket: string;
+        scope: CooldownScope;
+        window: CooldownWindow;
+        cooldown: number;
+        ratelimit: number;
+    };
+
+    export type CooldownUpdater = (entry: CooldownEntry | null) => CooldownEntry | null | Promise<CooldownEntry | null>;
+
+    export type CooldownWindow = 'fixed' | 'sliding';
+
+    export type HelpCategoryEntry = {
+        category: Category<string, Command>;
+        commands: Command[];
+    };
+
+    export type HelpCommandOptions = {
+        formatCommand?: (this: HelpCommand, message: Message, command: Command) => any;
+        formatList?: (this: HelpCommand, message: Message, entries: HelpCategoryEntry[]) => any;
+        formatNotFound?: (this: HelpCommand, message: Message, query: string) => any;
+        formatSearch?: (this: HelpCommand, message: Message, query: string, commands: Command[]) => any;
+        formatUsage?: (this: HelpCommand, message: Message, command: Command) => string;
+        hideUnusable?: boolean;
+        id?: string;
+    } & CommandOptions;
+
+    export type InhibitorDefinition = InhibitorOptions & {
+        id: string;
+        exec?: (this: Inhibitor, message: Message, command?: Command) => boolean | Promise<boolean>;
+        [key: string]: any;
+    };
+
     export type InhibitorOptions = {
+        pure?: boolean;
         reason?: string;
         type?: string;
     } & AkairoModuleOptions;
 
+    export type ListenerDefinition = ListenerOptions & {
+        id: string;
+        exec?: (this: Listener, ...args: any[]) => any;
+        [key: string]: any;
+    };
+
     export type ListenerOptions = {
         emitter: string | EventEmitter;
         event: string;
@@ -645,11 +1221,21 @@ declare module 'discord-akairo' {
         prefix?: string;
     };
 
+    export type PrefixManagerOptions = {
+        key?: string;
+        provider: Provider;
+    };
+
     export type ProviderOptions = {
         dataColumn?: string;
         idColumn?: string;
     };
 
+    export type ReloadResults<T> = {
+        failed: Collection<string, Error>;
+        reloaded: Collection<string, T>;
+    };
+
     export type ArgumentMatch = 'phrase' | 'rest' | 'separate' | 'flag' | 'option' | 'text' | 'content' | 'none';
 
     export type ArgumentType = 'string' | 'lowercase' | 'uppercase' | 'charCodes'
@@ -667,7 +1253,7 @@ declare module 'discord-akairo' {
 
     export type ArgumentProvider = (message: Message, content: string) => any;
 
-    export type ArgumentTypeCaster = (phrase: string, message: Message, prevArgs: any) => any;
+    export type ArgumentTypeCaster = (phrase: string, message: Message, prevArgs: any, signal: AbortSignalLike | CommandSignal | null) => any;
 
     export type BeforeAction = (message: Message) => any;
 
@@ -683,12 +1269,61 @@ declare module 'discord-akairo' {
 
     export type KeyGenerator = (message: Message, args: any) => string;
 
+    export type LatencyHistogram = {
+        buckets: { le: number, count: number }[];
+        count: number;
+        sum: number;
+    };
+
     export type LoadPredicate = (filepath: string) => boolean;
 
+    export type IgnoreRule = {
+        pattern: RegExp;
+        negate: boolean;
+        directoryOnly: boolean;
+    };
+
+    export type JSONCommandDefinition = CommandOptions & {
+        id: string;
+        response?: JSONCommandResponse;
+    };
+
+    export type JSONCommandResponse = string | MessageOptions;
+
+    export type LoadResults<T> = {
+        failed: Collection<string, Error>;
+        loaded: Collection<string, T>;
+        skipped: string[];
+    };
+
     export type MentionPrefixPredicate = (message: Message) => boolean;
 
+    export type MiddlewareContext = {
+        handler: CommandHandler;
+        message: Message;
+        command: Command;
+        args: any;
+        signal: AbortSignalLike | CommandSignal;
+        result: any;
+    };
+
+    export type MissingPermissions = {
+        type: 'client' | 'user';
+        missing: any;
+    };
+
     export type MissingPermissionSupplier = (message: Message) => Promise<any> | any;
 
+    export type ModuleDefinition = AkairoModuleOptions & {
+        id: string;
+        [key: string]: any;
+    };
+
+    export type ModuleState = {
+        version: number;
+        data: any;
+    };
+
     export type ParsedValuePredicate = (value: any, phrase: string, message: Message, args: any) => boolean;
 
     export type PrefixSupplier = (message: Message) => string | string[] | Promise<string | string[]>;
@@ -754,17 +1389,25 @@ declare module 'discord-akairo' {
         },
         AkairoHandlerEvents: {
             LOAD: 'load',
-            REMOVE: 'remove'
+            RELOAD: 'reload',
+            RELOAD_ERROR: 'reloadError',
+            REMOVE: 'remove',
+            LOAD_ERROR: 'loadError'
         },
         CommandHandlerEvents: {
             MESSAGE_BLOCKED: 'messageBlocked',
             MESSAGE_INVALID: 'messageInvalid',
+            COMMAND_SUGGESTION: 'commandSuggestion',
+            COMMAND_DISABLED: 'commandDisabled',
             COMMAND_BLOCKED: 'commandBlocked',
             COMMAND_STARTED: 'commandStarted',
             COMMAND_FINISHED: 'commandFinished',
             COMMAND_CANCELLED: 'commandCancelled',
+            COMMAND_TIMEOUT: 'commandTimeout',
+            ARGUMENT_FAILED: 'argumentFailed',
             COMMAND_LOCKED: 'commandLocked',
             MISSING_PERMISSIONS: 'missingPermissions',
+            MISSING_SUBCOMMAND: 'missingSubcommand',
             COOLDOWN: 'cooldown',
             IN_PROMPT: 'inPrompt',
             ERROR: 'error'
@@ -774,7 +1417,20 @@ declare module 'discord-akairo' {
             BOT: 'bot',
             OWNER: 'owner',
             GUILD: 'guild',
-            DM: 'dm'
+            DM: 'dm',
+            DISABLED: 'disabled'
+        },
+        CooldownScopes: {
+            USER: 'user',
+            MEMBER: 'member',
+            CHANNEL: 'channel',
+            GUILD: 'guild',
+            ROLE: 'role',
+            GLOBAL: 'global'
+        },
+        CooldownWindows: {
+            FIXED: 'fixed',
+            SLIDING: 'sliding'
         }
     };
 
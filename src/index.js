@@ -3,13 +3,20 @@ module.exports = {
     AkairoClient: require('./struct/AkairoClient'),
     AkairoHandler: require('./struct/AkairoHandler'),
     AkairoModule: require('./struct/AkairoModule'),
+    AkairoPlugin: require('./struct/AkairoPlugin'),
     ClientUtil: require('./struct/ClientUtil'),
 
     // Commands
     Command: require('./struct/commands/Command'),
     CommandHandler: require('./struct/commands/CommandHandler'),
+    CommandMetrics: require('./struct/commands/CommandMetrics'),
+    CommandSignal: require('./struct/commands/CommandSignal'),
     CommandUtil: require('./struct/commands/CommandUtil'),
+    CooldownStore: require('./struct/commands/CooldownStore'),
+    HelpCommand: require('./struct/commands/HelpCommand'),
+    JSONCommand: require('./struct/commands/JSONCommand'),
     ParsingFlag: require('./struct/commands/ParsingFlag'),
+    PrefixManager: require('./struct/commands/PrefixManager'),
 
     // Arguments
     Argument: require('./struct/commands/arguments/Argument'),
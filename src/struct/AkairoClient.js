@@ -1,4 +1,6 @@
-const { Client } = require('discord.js');
+const AkairoError = require('../util/AkairoError');
+const AkairoPlugin = require('./AkairoPlugin');
+const { Client, Collection } = require('discord.js');
 const ClientUtil = require('./ClientUtil');
 
 class AkairoClient extends Client {
@@ -25,6 +27,61 @@ class AkairoClient extends Client {
          * @type {ClientUtil}
          */
         this.util = new ClientUtil(this);
+
+        /**
+         * Handlers created with this client.
+         * @type {Set<AkairoHandler>}
+         */
+        this.handlers = new Set();
+
+        /**
+         * Plugins installed on this client.
+         * @type {Collection<string, AkairoPlugin>}
+         */
+        this.plugins = new Collection();
+
+        /**
+         * Providers set up by plugins, mapped by their namespaced keys, like `namespace:name`.
+         * @type {Collection<string, Provider>}
+         */
+        this.providers = new Collection();
+    }
+
+    /**
+     * Installs a plugin.
+     * Its modules are loaded into the handlers of this client, so they should be created first.
+     * @param {AkairoPlugin|AkairoPluginData} plugin - Plugin, or the ID and options of one.
+     * @param {Object} [options={}] - Options for the plugin, given to its `onInstall` hook.
+     * @returns {Promise<AkairoPlugin>}
+     */
+    async use(plugin, options = {}) {
+        if (!(plugin instanceof AkairoPlugin)) plugin = new AkairoPlugin(plugin.id, plugin);
+        if (this.plugins.has(plugin.id)) throw new AkairoError('PLUGIN_ALREADY_INSTALLED', plugin.id);
+
+        this.plugins.set(plugin.id, plugin);
+        try {
+            await plugin.install(this, options);
+        } catch (err) {
+            this.plugins.delete(plugin.id);
+            throw err;
+        }
+
+        return plugin;
+    }
+
+    /**
+     * Uninstalls a plugin, removing everything it added.
+     * @param {string|AkairoPlugin} plugin - Plugin or its ID.
+     * @returns {Promise<AkairoPlugin>}
+     */
+    async unuse(plugin) {
+        const id = plugin instanceof AkairoPlugin ? plugin.id : plugin;
+        plugin = this.plugins.get(id);
+        if (!plugin) throw new AkairoError('PLUGIN_NOT_INSTALLED', id);
+
+        await plugin.uninstall();
+        this.plugins.delete(id);
+        return plugin;
     }
 
     /**
@@ -47,3 +104,9 @@ module.exports = AkairoClient;
  * @typedef {Object} AkairoOptions
  * @prop {Snowflake|Snowflake[]} [ownerID=''] - Discord ID of the client owner(s).
  */
+
+/**
+ * Data for a plugin given as an object.
+ * @typedef {AkairoPluginOptions} AkairoPluginData
+ * @prop {string} id - ID of the plugin.
+ */
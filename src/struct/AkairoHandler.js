@@ -6,6 +6,20 @@ const { Collection } = require('discord.js');
 const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
+const { pathToFileURL } = require('url');
+const { globToRegExp, isDefinition, isPromise } = require('../util/Util');
+
+// Kept out of reach of the compiler so that `import()` is not turned into `require()` when transpiled.
+// eslint-disable-next-line no-new-func
+const dynamicImport = new Function('specifier', 'return import(specifier)');
+
+// Errors thrown by `require()` for files that have to be loaded as ES modules.
+const ESM_ERRORS = new Set(['ERR_REQUIRE_ESM', 'ERR_REQUIRE_ASYNC_MODULE']);
+
+let importVersion = 0;
+
+// Root of this package, whose files are never evicted from the require cache.
+const PACKAGE_ROOT = path.resolve(__dirname, '..', '..');
 
 /** @extends EventEmitter */
 class AkairoHandler extends EventEmitter {
@@ -17,9 +31,20 @@ class AkairoHandler extends EventEmitter {
     constructor(client, {
         directory,
         classToHandle = AkairoModule,
-        extensions = ['.js', '.json', '.ts'],
+        extensions = ['.js', '.json', '.ts', '.mjs', '.cjs'],
         automateCategories = false,
-        loadFilter = (() => true)
+        categoryFile = 'category.json',
+        loadFilter = (() => true),
+        watch = false,
+        watchDebounce = 100,
+        evictDependencies = false,
+        include = [],
+        exclude = ['**/*.d.ts'],
+        ignoreFile = '.akairoignore',
+        followSymlinks = true,
+        loadErrors = 'throw',
+        disabledProvider = null,
+        disabledKey = 'disabled'
     }) {
         super();
 
@@ -30,8 +55,8 @@ class AkairoHandler extends EventEmitter {
         this.client = client;
 
         /**
-         * The main directory to modules.
-         * @type {string}
+         * The main directory or directories to modules.
+         * @type {string|string[]}
          */
         this.directory = directory;
 
@@ -47,18 +72,103 @@ class AkairoHandler extends EventEmitter {
          */
         this.extensions = new Set(extensions);
 
+        /**
+         * Patterns that files must match to be loaded, relative to the directory.
+         * If empty, all files can be loaded.
+         * @type {RegExp[]}
+         */
+        this.include = include.map(p => typeof p === 'string' ? globToRegExp(p) : p);
+
+        /**
+         * Patterns that files and directories must not match to be loaded, relative to the directory.
+         * @type {RegExp[]}
+         */
+        this.exclude = exclude.map(p => typeof p === 'string' ? globToRegExp(p) : p);
+
+        /**
+         * Name of the ignore file read from the directory.
+         * @type {?string}
+         */
+        this.ignoreFile = ignoreFile;
+
+        /**
+         * Whether or not to follow symbolic links when reading directories.
+         * @type {boolean}
+         */
+        this.followSymlinks = Boolean(followSymlinks);
+
         /**
          * Whether or not to automate category names.
          * @type {boolean}
          */
         this.automateCategories = Boolean(automateCategories);
 
+        /**
+         * Name of the files that describe the category of their directory, when categories are automated.
+         * @type {string}
+         */
+        this.categoryFile = categoryFile;
+
         /**
          * Function that filters files when loading.
          * @type {LoadPredicate}
          */
         this.loadFilter = loadFilter;
 
+        /**
+         * How errors from loading files in `loadAll` are handled.
+         * @type {string}
+         */
+        this.loadErrors = loadErrors;
+
+        /**
+         * Results of the last `loadAll`, so far if it threw.
+         * @type {?LoadResults}
+         */
+        this.lastLoadResults = null;
+
+        /**
+         * Whether or not to watch the directory for changes after loading.
+         * @type {boolean}
+         */
+        this.watch = Boolean(watch);
+
+        /**
+         * Milliseconds to wait for changes to a file to settle before handling them.
+         * @type {number}
+         */
+        this.watchDebounce = watchDebounce;
+
+        /**
+         * Whether or not to evict the project files required by a module from the require cache when it reloads.
+         * @type {boolean}
+         */
+        this.evictDependencies = Boolean(evictDependencies);
+
+        /**
+         * File system watchers, mapped by directory to FSWatcher.
+         * @type {Map<string, FSWatcher>}
+         */
+        this.watchers = new Map();
+
+        /**
+         * Pending file changes, mapped by filepath to Timeout.
+         * @type {Map<string, Timeout>}
+         */
+        this.watchTimeouts = new Map();
+
+        /**
+         * Provider for the IDs of modules disabled per guild.
+         * @type {?Provider}
+         */
+        this.disabledProvider = disabledProvider;
+
+        /**
+         * Key of the provider entries for the IDs of modules disabled per guild.
+         * @type {string}
+         */
+        this.disabledKey = disabledKey;
+
         /**
          * Modules loaded, mapped by ID to AkairoModule.
          * @type {Collection<string, AkairoModule>}
@@ -70,6 +180,15 @@ class AkairoHandler extends EventEmitter {
          * @type {Collection<string, Category>}
          */
         this.categories = new Collection();
+
+        /**
+         * Modules read by `loadAll` that are waiting for their dependencies to be loaded, mapped by ID to AkairoModule.
+         * This is empty once `loadAll` is done.
+         * @type {Collection<string, AkairoModule>}
+         */
+        this.pending = new Collection();
+
+        this.client.handlers.add(this);
     }
 
     /**
@@ -79,204 +198,1507 @@ class AkairoHandler extends EventEmitter {
      * @returns {void}
      */
     register(mod, filepath) {
+        let categoryOptions = {};
+        if (mod.categoryID === 'default' && this.automateCategories && filepath) {
+            const dirs = path.dirname(filepath).split(path.sep);
+            mod.categoryID = dirs[dirs.length - 1];
+            if (!this.categories.has(mod.categoryID)) categoryOptions = this.readCategoryFile(path.dirname(filepath));
+        }
+
+        const category = this.categories.get(mod.categoryID) || this.registerCategory(mod.categoryID, categoryOptions);
+
         mod.filepath = filepath;
         mod.client = this.client;
         mod.handler = this;
         this.modules.set(mod.id, mod);
 
-        if (mod.categoryID === 'default' && this.automateCategories) {
-            const dirs = path.dirname(filepath).split(path.sep);
-            mod.categoryID = dirs[dirs.length - 1];
-        }
+        mod.category = category;
+        category.set(mod.id, mod);
+        this.applyCategoryDefaults(mod);
+    }
+
+    /**
+     * Sets the default options of the category of a module on it.
+     * This is done when the module is registered, and again when the defaults of the category change.
+     * @param {AkairoModule} mod - Module to use.
+     * @returns {void}
+     */
+    applyCategoryDefaults(mod) {
+        mod.category.applyDefaults(mod);
+    }
 
-        if (!this.categories.has(mod.categoryID)) {
-            this.categories.set(mod.categoryID, new Category(mod.categoryID));
+    /**
+     * Creates a category, or updates the options of an existing one.
+     * Categories are kept sorted by their order.
+     * @param {string} id - ID of the category.
+     * @param {CategoryOptions} [options={}] - Options for the category.
+     * @returns {Category}
+     */
+    registerCategory(id, options = {}) {
+        let category = this.categories.get(id);
+        if (category) {
+            category.setOptions(options);
+        } else {
+            category = new Category(id, null, options);
+            this.categories.set(id, category);
         }
 
-        const category = this.categories.get(mod.categoryID);
-        mod.category = category;
-        category.set(mod.id, mod);
+        this.categories = this.categories.sort((a, b) => a.order - b.order);
+        return category;
+    }
+
+    /**
+     * Reads the category file of a directory.
+     * @param {string} directory - Directory to read from.
+     * @returns {CategoryOptions}
+     */
+    readCategoryFile(directory) {
+        const filepath = path.join(directory, this.categoryFile);
+        if (!fs.existsSync(filepath)) return {};
+        return JSON.parse(fs.readFileSync(filepath, 'utf8'));
     }
 
     /**
      * Deregisters a module.
+     * Its timers are not cleared, since a module that failed to reload is registered again.
      * @param {AkairoModule} mod - Module to use.
      * @returns {void}
      */
     deregister(mod) {
-        if (mod.filepath) delete require.cache[require.resolve(mod.filepath)];
+        if (mod.filepath) delete require.cache[fs.existsSync(mod.filepath) ? require.resolve(mod.filepath) : mod.filepath];
         this.modules.delete(mod.id);
         mod.category.delete(mod.id);
     }
 
     /**
-     * Loads a module, can be a module class or a filepath.
-     * @param {string|Function} thing - Module class or path to module.
+     * Creates a module from a module class, a filepath, or a module definition without registering it.
+     * @param {string|Function|ModuleDefinition} thing - Module class, path to module, or module definition.
+     * @returns {?AkairoModule}
+     */
+    instantiate(thing) {
+        if (isDefinition(thing)) return this.constructModule(thing, this.findExport(thing));
+
+        const isClass = typeof thing === 'function';
+        if (!isClass && !this.extensions.has(path.extname(thing))) return undefined;
+
+        return this.constructModule(thing, isClass ? thing : this.findExport(require(thing)));
+    }
+
+    /**
+     * Creates a module from a module class, a filepath, or a module definition without registering it.
+     * Files that are ES modules are loaded with `import()`.
+     * @param {string|Function|ModuleDefinition} thing - Module class, path to module, or module definition.
+     * @returns {Promise<?AkairoModule>}
+     */
+    async instantiateAsync(thing) {
+        if (isDefinition(thing)) return this.constructModule(thing, this.findExport(thing));
+
+        const isClass = typeof thing === 'function';
+        if (!isClass && !this.extensions.has(path.extname(thing))) return undefined;
+
+        return this.constructModule(thing, isClass ? thing : this.findExport(await this.importFile(thing)));
+    }
+
+    /**
+     * Constructs a module from the class found for a module class, a filepath, or a module definition.
+     * @param {string|Function|ModuleDefinition} thing - Module class, path to module, or module definition.
+     * @param {?Function} Mod - Class that was found.
+     * @returns {?AkairoModule}
+     */
+    constructModule(thing, Mod) {
+        if (Mod && Mod.prototype instanceof this.classToHandle) {
+            return new Mod(this);
+        }
+
+        if (typeof thing === 'string') delete require.cache[require.resolve(thing)];
+        return undefined;
+    }
+
+    /**
+     * Loads a file with `require()`, or with `import()` if it is an ES module.
+     * ES modules cannot be removed from the cache of `import()`, so a fresh import keeps the old copies in memory.
+     * @param {string} filepath - Path to file.
+     * @param {boolean} [fresh=false] - Whether to import a fresh copy of an ES module.
+     * @returns {Promise<any>}
+     */
+    importFile(filepath, fresh = false) {
+        if (path.extname(filepath) !== '.mjs') {
+            try {
+                return Promise.resolve(require(filepath));
+            } catch (err) {
+                if (!ESM_ERRORS.has(err.code)) return Promise.reject(err);
+            }
+        }
+
+        const url = pathToFileURL(filepath);
+        if (fresh) url.searchParams.set('v', ++importVersion);
+        return dynamicImport(url.href);
+    }
+
+    /**
+     * Creates a module from a definition, without loading it.
+     * @param {ModuleDefinition} definition - Definition of the module.
+     * @returns {AkairoModule}
+     */
+    create(definition) {
+        const Mod = this.classToHandle.define(definition);
+        return new Mod(this);
+    }
+
+    /**
+     * Loads a module, can be a module class, a filepath, a module definition, or a module that has not been loaded yet.
+     * The `onLoad` hook of the module is called but not awaited.
+     * If it returns a Promise that rejects, the module is deregistered and `loadError` is emitted.
+     * @param {string|Function|ModuleDefinition|AkairoModule} thing - Module class, path to module, module definition, or module.
      * @param {boolean} [isReload=false] - Whether this is a reload or not.
      * @returns {AkairoModule}
      */
     load(thing, isReload = false) {
-        const isClass = typeof thing === 'function';
-        if (!isClass && !this.extensions.has(path.extname(thing))) return undefined;
+        const mod = thing instanceof this.classToHandle ? thing : this.instantiate(thing);
+        if (!mod) return undefined;
 
-        let mod = isClass
-            ? thing
-            : function findExport(m) {
-                if (!m) return null;
-                if (m.prototype instanceof this.classToHandle) return m;
-                return m.default ? findExport.call(this, m.default) : null;
-            }.call(this, require(thing));
+        this.checkLoadable(mod);
+        this.register(mod, typeof thing === 'string' ? thing : mod.filepath);
 
-        if (mod && mod.prototype instanceof this.classToHandle) {
-            mod = new mod(this); // eslint-disable-line new-cap
-        } else {
-            if (!isClass) delete require.cache[require.resolve(thing)];
-            return undefined;
+        try {
+            this.catchHook(mod, mod.onLoad(), true);
+        } catch (err) {
+            this.deregister(mod);
+            mod.clearTimers();
+            throw err;
         }
 
-        if (this.modules.has(mod.id)) throw new AkairoError('ALREADY_LOADED', this.classToHandle.name, mod.id);
+        this.emit(AkairoHandlerEvents.LOAD, mod, isReload);
+        return mod;
+    }
+
+    /**
+     * Loads a module, can be a module class, a filepath, a module definition, or a module that has not been loaded yet.
+     * Files that are ES modules are loaded with `import()`.
+     * The `onLoad` hook of the module is awaited, and the module is deregistered if it fails.
+     * @param {string|Function|ModuleDefinition|AkairoModule} thing - Module class, path to module, module definition, or module.
+     * @param {boolean} [isReload=false] - Whether this is a reload or not.
+     * @returns {Promise<AkairoModule>}
+     */
+    async loadAsync(thing, isReload = false) {
+        const mod = thing instanceof this.classToHandle ? thing : await this.instantiateAsync(thing);
+        if (!mod) return undefined;
+
+        this.checkLoadable(mod);
+        this.register(mod, typeof thing === 'string' ? thing : mod.filepath);
+
+        try {
+            await mod.onLoad();
+        } catch (err) {
+            this.deregister(mod);
+            mod.clearTimers();
+            throw err;
+        }
 
-        this.register(mod, isClass ? null : thing);
         this.emit(AkairoHandlerEvents.LOAD, mod, isReload);
         return mod;
     }
 
     /**
      * Reads all modules from a directory and loads them.
-     * @param {string} [directory] - Directory to load from.
+     * Modules are loaded after their dependencies, which must be loaded already or be loaded by this call.
+     * Modules that depend on modules of other handlers should be loaded after those handlers.
+     * What happens when a file fails to load depends on the `loadErrors` option.
+     * @param {string|string[]} [directory] - Directory or directories to load from.
      * Defaults to the directory passed in the constructor.
      * @param {LoadPredicate} [filter] - Filter for files, where true means it should be loaded.
      * Defaults to the filter passed in the constructor.
      * @returns {AkairoHandler}
      */
     loadAll(directory = this.directory, filter = this.loadFilter || (() => true)) {
-        const filepaths = this.constructor.readdirRecursive(directory);
+        const results = { loaded: new Collection(), skipped: [], failed: new Collection() };
+        this.lastLoadResults = results;
+        try {
+            for (const dir of [].concat(directory)) this.queueAll(dir, filter, results);
+            this.loadPending(results);
+        } finally {
+            this.pending.clear();
+        }
+
+        if (this.watch) this.startWatching(directory);
+        return this.finishLoadAll(results);
+    }
+
+    /**
+     * Reads all modules from a directory and loads them one by one, awaiting their `onLoad` hooks.
+     * Files that are ES modules are loaded with `import()`.
+     * Modules are loaded after their dependencies, which must be loaded already or be loaded by this call.
+     * Modules that depend on modules of other handlers should be loaded after those handlers.
+     * What happens when a file fails to load depends on the `loadErrors` option.
+     * @param {string|string[]} [directory] - Directory or directories to load from.
+     * Defaults to the directory passed in the constructor.
+     * @param {LoadPredicate} [filter] - Filter for files, where true means it should be loaded.
+     * Defaults to the filter passed in the constructor.
+     * @returns {Promise<AkairoHandler>}
+     */
+    async loadAllAsync(directory = this.directory, filter = this.loadFilter || (() => true)) {
+        const results = { loaded: new Collection(), skipped: [], failed: new Collection() };
+        this.lastLoadResults = results;
+        try {
+            for (const dir of [].concat(directory)) {
+                // eslint-disable-next-line no-await-in-loop
+                await this.queueAllAsync(dir, filter, results);
+            }
+
+            await this.loadPendingAsync(results);
+        } finally {
+            this.pending.clear();
+        }
+
+        if (this.watch) this.startWatching(directory);
+        return this.finishLoadAll(results);
+    }
+
+    /**
+     * Reads all modules from a directory and adds them to the pending modules.
+     * @param {string} directory - Directory to read from.
+     * @param {LoadPredicate} filter - Filter for files, where true means it should be loaded.
+     * @param {LoadResults} results - Results to add skipped and failed files to.
+     * @returns {void}
+     */
+    queueAll(directory, filter, results) {
+        const filepaths = this.discover(directory);
         for (let filepath of filepaths) {
             filepath = path.resolve(filepath);
-            if (filter(filepath)) this.load(filepath);
+            if (!this.extensions.has(path.extname(filepath)) || !filter(filepath)) {
+                results.skipped.push(filepath);
+                continue;
+            }
+
+            let mod;
+            try {
+                mod = this.instantiate(filepath);
+                this.queue(mod, filepath);
+            } catch (err) {
+                this.failLoad(err, filepath, results);
+                continue;
+            }
+
+            if (!mod) results.skipped.push(filepath);
         }
+    }
 
-        return this;
+    /**
+     * Reads all modules from a directory and adds them to the pending modules.
+     * Files that are ES modules are loaded with `import()`.
+     * @param {string} directory - Directory to read from.
+     * @param {LoadPredicate} filter - Filter for files, where true means it should be loaded.
+     * @param {LoadResults} results - Results to add skipped and failed files to.
+     * @returns {Promise<void>}
+     */
+    async queueAllAsync(directory, filter, results) {
+        const filepaths = await this.discoverAsync(directory);
+        for (let filepath of filepaths) {
+            filepath = path.resolve(filepath);
+            if (!this.extensions.has(path.extname(filepath)) || !filter(filepath)) {
+                results.skipped.push(filepath);
+                continue;
+            }
+
+            let mod;
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                mod = await this.instantiateAsync(filepath);
+                this.queue(mod, filepath);
+            } catch (err) {
+                this.failLoad(err, filepath, results);
+                continue;
+            }
+
+            if (!mod) results.skipped.push(filepath);
+        }
     }
 
     /**
-     * Removes a module.
-     * @param {string} id - ID of the module.
-     * @returns {AkairoModule}
+     * Adds a module to the pending modules.
+     * @param {?AkairoModule} mod - Module to add.
+     * @param {string} filepath - Path to the module.
+     * @returns {void}
      */
-    remove(id) {
-        const mod = this.modules.get(id.toString());
-        if (!mod) throw new AkairoError('MODULE_NOT_FOUND', this.classToHandle.name, id);
+    queue(mod, filepath) {
+        if (!mod) return;
 
-        this.deregister(mod);
+        if (this.modules.has(mod.id) || this.pending.has(mod.id)) {
+            throw new AkairoError('ALREADY_LOADED', this.classToHandle.name, mod.id);
+        }
 
-        this.emit(AkairoHandlerEvents.REMOVE, mod);
-        return mod;
+        mod.filepath = filepath;
+        this.pending.set(mod.id, mod);
     }
 
     /**
-     * Removes all modules.
-     * @returns {AkairoHandler}
+     * Loads the pending modules of this handler whose dependencies are loaded, until none are left that can be.
+     * Modules left pending that depend on each other in a cycle fail to load.
+     * @param {LoadResults} [results] - Results to add the modules to.
+     * @returns {void}
      */
-    removeAll() {
-        for (const m of Array.from(this.modules.values())) {
-            if (m.filepath) this.remove(m.id);
+    loadPending(results) {
+        let loaded = true;
+        while (loaded) {
+            loaded = false;
+            for (const mod of Array.from(this.pending.values())) {
+                if (!this.hasDependencies(mod)) continue;
+                this.pending.delete(mod.id);
+                loaded = true;
+
+                try {
+                    this.load(mod);
+                    if (results) results.loaded.set(mod.id, mod);
+                } catch (err) {
+                    this.failLoad(err, mod.filepath, results);
+                }
+            }
         }
 
-        return this;
+        this.failCircularDependencies(results);
+        this.failMissingDependencies(results);
     }
 
     /**
-     * Reloads a module.
-     * @param {string} id - ID of the module.
-     * @returns {AkairoModule}
+     * Loads the pending modules of this handler whose dependencies are loaded, until none are left that can be.
+     * Each module is loaded with `loadAsync`, so their `onLoad` hooks are awaited one by one.
+     * Modules left pending that depend on each other in a cycle fail to load.
+     * @param {LoadResults} [results] - Results to add the modules to.
+     * @returns {Promise<void>}
      */
-    reload(id) {
-        const mod = this.modules.get(id.toString());
-        if (!mod) throw new AkairoError('MODULE_NOT_FOUND', this.classToHandle.name, id);
-        if (!mod.filepath) throw new AkairoError('NOT_RELOADABLE', this.classToHandle.name, id);
+    async loadPendingAsync(results) {
+        let loaded = true;
+        while (loaded) {
+            loaded = false;
+            for (const mod of Array.from(this.pending.values())) {
+                if (!this.hasDependencies(mod)) continue;
+                this.pending.delete(mod.id);
+                loaded = true;
 
-        this.deregister(mod);
+                try {
+                    // eslint-disable-next-line no-await-in-loop
+                    await this.loadAsync(mod);
+                    if (results) results.loaded.set(mod.id, mod);
+                } catch (err) {
+                    this.failLoad(err, mod.filepath, results);
+                }
+            }
+        }
 
-        const filepath = mod.filepath;
-        const newMod = this.load(filepath, true);
-        return newMod;
+        this.failCircularDependencies(results);
+        this.failMissingDependencies(results);
+    }
+
+    /**
+     * Handles an error from loading a file during `loadAll`.
+     * The filepath is attached to the error as `filepath`, and the error is added to the results.
+     * If the `loadErrors` option is 'throw', the error is thrown, which stops loading.
+     * Otherwise, it is emitted as `loadError`.
+     * @param {Error} err - The error.
+     * @param {string} filepath - Filepath of the file.
+     * @param {?LoadResults} [results] - Results to add the error to.
+     * @returns {void}
+     */
+    failLoad(err, filepath, results) {
+        if (err && typeof err === 'object') err.filepath = filepath;
+        if (results) results.failed.set(filepath, err);
+
+        if (this.loadErrors === 'throw') throw err;
+
+        this.emit(AkairoHandlerEvents.LOAD_ERROR, err, filepath);
     }
 
     /**
-     * Reloads all modules.
+     * Finishes `loadAll` according to the `loadErrors` option.
+     * @param {LoadResults} results - Results of loading.
      * @returns {AkairoHandler}
      */
-    reloadAll() {
-        for (const m of Array.from(this.modules.values())) {
-            if (m.filepath) this.reload(m.id);
+    finishLoadAll(results) {
+        if (this.loadErrors === 'strict' && results.failed.size) {
+            const err = new AkairoError('LOAD_FAILED', this.classToHandle.name, Array.from(results.failed.keys()));
+            err.errors = results.failed;
+            throw err;
         }
 
         return this;
     }
 
     /**
-     * Finds a category by name.
-     * @param {string} name - Name to find with.
-     * @returns {Category}
+     * Checks that a module can be loaded.
+     * @param {AkairoModule} mod - Module to check.
+     * @returns {void}
      */
-    findCategory(name) {
-        return this.categories.find(category => {
-            return category.id.toLowerCase() === name.toLowerCase();
-        });
+    checkLoadable(mod) {
+        if (this.modules.has(mod.id)) throw new AkairoError('ALREADY_LOADED', this.classToHandle.name, mod.id);
+
+        const missing = mod.dependencies.find(id => !this.findDependency(id));
+        if (missing) throw new AkairoError('MISSING_DEPENDENCY', this.classToHandle.name, mod.id, missing);
     }
 
     /**
-     * Reads files recursively from a directory.
-     * @param {string} directory - Directory to read.
-     * @returns {string[]}
+     * Finds a loaded module by ID, first in this handler and then in the other handlers of the client.
+     * @param {string} id - ID of the module.
+     * @returns {?AkairoModule}
      */
-    static readdirRecursive(directory) {
-        const result = [];
+    findDependency(id) {
+        if (this.modules.has(id)) return this.modules.get(id);
 
-        (function read(dir) {
-            const files = fs.readdirSync(dir);
+        for (const handler of this.client.handlers) {
+            if (handler.modules.has(id)) return handler.modules.get(id);
+        }
 
-            for (const file of files) {
-                const filepath = path.join(dir, file);
+        return null;
+    }
 
-                if (fs.statSync(filepath).isDirectory()) {
-                    read(filepath);
-                } else {
-                    result.push(filepath);
-                }
+    /**
+     * Checks if all dependencies of a module are loaded.
+     * @param {AkairoModule} mod - Module to check.
+     * @returns {boolean}
+     */
+    hasDependencies(mod) {
+        return mod.dependencies.every(id => this.findDependency(id));
+    }
+
+    /**
+     * Gets the loaded modules that depend on a module, from every handler of the client.
+     * @param {AkairoModule} mod - Module to check.
+     * @returns {AkairoModule[]}
+     */
+    getDependents(mod) {
+        const dependents = [];
+        for (const handler of this.client.handlers) {
+            for (const m of handler.modules.values()) {
+                if (m.dependencies.some(id => handler.findDependency(id) === mod)) dependents.push(m);
             }
-        }(directory));
+        }
 
-        return result;
+        return dependents;
     }
-}
 
-module.exports = AkairoHandler;
+    /**
+     * Sorts modules along with the loaded modules that depend on them, directly or through other modules, from every handler of the client.
+     * Each module is included once, and comes after the modules it depends on, unless they depend on each other in a cycle.
+     * @param {Iterable<AkairoModule>} mods - Modules to sort.
+     * @returns {AkairoModule[]}
+     */
+    sortWithDependents(mods) {
+        const visited = new Set();
+        const sorted = [];
 
-/**
- * Emitted when a module is loaded.
- * @event AkairoHandler#load
- * @param {AkairoModule} mod - Module loaded.
- * @param {boolean} isReload - Whether or not this was a reload.
- */
+        const visit = mod => {
+            if (visited.has(mod)) return;
+            visited.add(mod);
+            for (const dependent of this.getDependents(mod)) visit(dependent);
+            sorted.push(mod);
+        };
 
-/**
- * Emitted when a module is removed.
- * @event AkairoHandler#remove
- * @param {AkairoModule} mod - Module removed.
- */
+        for (const mod of Array.from(mods)) visit(mod);
+        return sorted.reverse();
+    }
+
+    /**
+     * Finds pending modules of this handler that depend on each other in a cycle.
+     * The first module of the cycle is repeated at the end.
+     * @returns {?Array<AkairoModule>}
+     */
+    findCircularDependency() {
+        const visit = (mod, chain) => {
+            if (chain.includes(mod)) return chain.slice(chain.indexOf(mod)).concat(mod);
+
+            for (const id of mod.dependencies) {
+                const cycle = this.pending.has(id) && visit(this.pending.get(id), chain.concat(mod));
+                if (cycle) return cycle;
+            }
+
+            return null;
+        };
+
+        for (const mod of this.pending.values()) {
+            const cycle = visit(mod, []);
+            if (cycle) return cycle;
+        }
+
+        return null;
+    }
+
+    /**
+     * Removes pending modules of this handler that depend on each other in a cycle, failing each of them.
+     * @param {LoadResults} [results] - Results to add the failures to.
+     * @returns {void}
+     */
+    failCircularDependencies(results) {
+        let cycle;
+        while ((cycle = this.findCircularDependency()) != null) {
+            const err = new AkairoError('CIRCULAR_DEPENDENCY', cycle.map(m => m.id));
+            for (const mod of new Set(cycle)) {
+                this.pending.delete(mod.id);
+                this.failLoad(err, mod.filepath, results);
+            }
+        }
+    }
+
+    /**
+     * Removes pending modules of this handler whose dependencies are not loaded, failing each of them.
+     * @param {LoadResults} [results] - Results to add the failures to.
+     * @returns {void}
+     */
+    failMissingDependencies(results) {
+        for (const mod of Array.from(this.pending.values())) {
+            const missing = mod.dependencies.find(id => !this.findDependency(id));
+            this.pending.delete(mod.id);
+            this.failLoad(new AkairoError('MISSING_DEPENDENCY', this.classToHandle.name, mod.id, missing), mod.filepath, results);
+        }
+    }
+
+    /**
+     * Removes a module.
+     * @param {string} id - ID of the module.
+     * @returns {AkairoModule}
+     */
+    remove(id) {
+        const mod = this.modules.get(id.toString());
+        if (!mod) throw new AkairoError('MODULE_NOT_FOUND', this.classToHandle.name, id);
+        this.checkRemovable(mod);
+
+        this.deregister(mod);
+        mod.clearTimers();
+        this.catchHook(mod, mod.onUnload());
+
+        this.emit(AkairoHandlerEvents.REMOVE, mod);
+        return mod;
+    }
+
+    /**
+     * Removes a module, awaiting its `onUnload` hook.
+     * @param {string} id - ID of the module.
+     * @returns {Promise<AkairoModule>}
+     */
+    async removeAsync(id) {
+        const mod = this.modules.get(id.toString());
+        if (!mod) throw new AkairoError('MODULE_NOT_FOUND', this.classToHandle.name, id);
+        this.checkRemovable(mod);
+
+        this.deregister(mod);
+        mod.clearTimers();
+        await mod.onUnload();
+
+        this.emit(AkairoHandlerEvents.REMOVE, mod);
+        return mod;
+    }
+
+    /**
+     * Checks that a module can be removed.
+     * @param {AkairoModule} mod - Module to check.
+     * @returns {void}
+     */
+    checkRemovable(mod) {
+        const dependent = this.getDependents(mod)[0];
+        if (dependent) throw new AkairoError('MODULE_REQUIRED', this.classToHandle.name, mod.id, dependent.id);
+    }
+
+    /**
+     * Removes all modules.
+     * Modules are removed before their dependencies.
+     * Nothing is removed if a module is required by a module that would not be removed.
+     * @returns {AkairoHandler}
+     */
+    removeAll() {
+        const mods = Array.from(this.modules.values()).filter(m => m.filepath);
+        for (const mod of mods) {
+            const dependent = this.getDependents(mod).find(d => !mods.includes(d));
+            if (dependent) throw new AkairoError('MODULE_REQUIRED', this.classToHandle.name, mod.id, dependent.id);
+        }
+
+        while (mods.length) {
+            const index = mods.findIndex(m => !this.getDependents(m).some(d => mods.includes(d)));
+            const [mod] = mods.splice(index === -1 ? 0 : index, 1);
+            this.remove(mod.id);
+        }
+
+        return this;
+    }
+
+    /**
+     * Reloads a module, then the modules that depend on it, directly or through other modules.
+     * Each dependent is reloaded once, after the modules it depends on.
+     * If the new module fails to load, the old module is kept and returned instead, and its dependents are not reloaded.
+     * @param {string} id - ID of the module.
+     * @returns {AkairoModule}
+     */
+    reload(id) {
+        const mod = this.modules.get(id.toString());
+        if (!mod) throw new AkairoError('MODULE_NOT_FOUND', this.classToHandle.name, id);
+        if (!mod.filepath) throw new AkairoError('NOT_RELOADABLE', this.classToHandle.name, id);
+
+        const dependents = this.sortWithDependents([mod]).slice(1);
+
+        let newMod;
+        try {
+            newMod = this.reloadSingle(mod);
+        } catch (err) {
+            this.emitReloadError(err, mod);
+            return mod;
+        }
+
+        for (const dependent of dependents) {
+            if (!dependent.filepath || dependent.handler.modules.get(dependent.id) !== dependent) continue;
+
+            try {
+                dependent.handler.reloadSingle(dependent);
+            } catch (err) {
+                dependent.handler.emitReloadError(err, dependent);
+            }
+        }
+
+        return newMod;
+    }
+
+    /**
+     * Reloads a module and the modules that depend on it like `reload`, awaiting the `onUnload` hooks of the old modules and the `onReload` hooks of the new ones.
+     * If the new module fails to load, the old module is kept and returned instead, and its dependents are not reloaded.
+     * @param {string} id - ID of the module.
+     * @returns {Promise<AkairoModule>}
+     */
+    async reloadAsync(id) {
+        const mod = this.modules.get(id.toString());
+        if (!mod) throw new AkairoError('MODULE_NOT_FOUND', this.classToHandle.name, id);
+        if (!mod.filepath) throw new AkairoError('NOT_RELOADABLE', this.classToHandle.name, id);
+
+        const dependents = this.sortWithDependents([mod]).slice(1);
+
+        let newMod;
+        try {
+            newMod = await this.reloadSingleAsync(mod);
+        } catch (err) {
+            this.emitReloadError(err, mod);
+            return mod;
+        }
+
+        for (const dependent of dependents) {
+            if (!dependent.filepath || dependent.handler.modules.get(dependent.id) !== dependent) continue;
+
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                await dependent.handler.reloadSingleAsync(dependent);
+            } catch (err) {
+                dependent.handler.emitReloadError(err, dependent);
+            }
+        }
+
+        return newMod;
+    }
+
+    /**
+     * Reloads a module and calls its hooks, without reloading the modules that depend on it.
+     * If the new module fails to load, the old module is kept and the error is thrown.
+     * @param {AkairoModule} mod - Module to reload.
+     * @returns {AkairoModule}
+     */
+    reloadSingle(mod) {
+        const newMod = this.reloadModule(mod);
+        this.catchHook(mod, mod.onUnload());
+        this.catchHook(newMod, newMod.onReload(mod));
+
+        this.emit(AkairoHandlerEvents.LOAD, newMod, true);
+        this.emit(AkairoHandlerEvents.RELOAD, newMod);
+        return newMod;
+    }
+
+    /**
+     * Reloads a module and awaits its hooks, without reloading the modules that depend on it.
+     * If the new module fails to load, the old module is kept and the error is thrown.
+     * @param {AkairoModule} mod - Module to reload.
+     * @returns {Promise<AkairoModule>}
+     */
+    async reloadSingleAsync(mod) {
+        const newMod = await this.reloadModuleAsync(mod);
+        await mod.onUnload();
+        await newMod.onReload(mod);
+
+        this.emit(AkairoHandlerEvents.LOAD, newMod, true);
+        this.emit(AkairoHandlerEvents.RELOAD, newMod);
+        return newMod;
+    }
+
+    /**
+     * Reloads all modules, then the modules that depend on them like `reload`.
+     * Every module is reloaded once, after the modules it depends on.
+     * Modules of other handlers that depend on them are reloaded too, but are left out of the results.
+     * @param {Iterable<AkairoModule>} [mods] - Modules to reload.
+     * Defaults to all modules in this handler.
+     * @returns {ReloadResults}
+     */
+    reloadAll(mods = this.modules.values()) {
+        const reloaded = new Collection();
+        const failed = new Collection();
+
+        for (const m of this.sortWithDependents(mods)) {
+            if (!m.filepath || m.handler.modules.get(m.id) !== m) continue;
+
+            try {
+                const newMod = m.handler.reloadSingle(m);
+                if (m.handler === this) reloaded.set(newMod.id, newMod);
+            } catch (err) {
+                if (m.handler === this) failed.set(m.id, err);
+                if (m.handler.listenerCount(AkairoHandlerEvents.RELOAD_ERROR)) {
+                    m.handler.emit(AkairoHandlerEvents.RELOAD_ERROR, err, m);
+                }
+            }
+        }
+
+        return { reloaded, failed };
+    }
+
+    /**
+     * Reloads a module from its file, without calling any hooks.
+     * The new module is only swapped in if it is built and registered successfully.
+     * Otherwise, the old module is restored and the error is thrown.
+     * @param {AkairoModule} mod - Module to reload.
+     * @returns {AkairoModule}
+     */
+    reloadModule(mod) {
+        const cached = this.uncacheFile(mod.filepath);
+
+        let newMod;
+        try {
+            newMod = this.constructReloaded(mod, require(mod.filepath));
+        } catch (err) {
+            this.constructor.restoreCache(cached);
+            throw err;
+        }
+
+        return this.swapModule(mod, newMod, cached);
+    }
+
+    /**
+     * Reloads a module from its file, without calling any hooks.
+     * Files that are ES modules are imported again with `import()`.
+     * The new module is only swapped in if it is built and registered successfully.
+     * Otherwise, the old module is restored and the error is thrown.
+     * @param {AkairoModule} mod - Module to reload.
+     * @returns {Promise<AkairoModule>}
+     */
+    async reloadModuleAsync(mod) {
+        const cached = this.uncacheFile(mod.filepath);
+
+        let newMod;
+        try {
+            newMod = this.constructReloaded(mod, await this.importFile(mod.filepath, true));
+        } catch (err) {
+            this.constructor.restoreCache(cached);
+            throw err;
+        }
+
+        return this.swapModule(mod, newMod, cached);
+    }
+
+    /**
+     * Constructs the new version of a module that is being reloaded.
+     * @param {AkairoModule} mod - Module being reloaded.
+     * @param {any} exported - Exports of the module's file.
+     * @returns {AkairoModule}
+     */
+    constructReloaded(mod, exported) {
+        const Mod = this.findExport(exported);
+        if (!Mod) throw new AkairoError('INVALID_MODULE', mod.filepath, this.classToHandle.name);
+
+        const newMod = new Mod(this);
+        if (newMod.id !== mod.id && this.modules.has(newMod.id)) {
+            throw new AkairoError('ALREADY_LOADED', this.classToHandle.name, newMod.id);
+        }
+
+        const missing = newMod.dependencies.find(id => !this.findDependency(id));
+        if (missing) throw new AkairoError('MISSING_DEPENDENCY', this.classToHandle.name, newMod.id, missing);
+
+        return newMod;
+    }
+
+    /**
+     * Replaces a module with its new version, carrying over its state.
+     * If the new module fails to register, the old module and its cached file are restored and the error is thrown.
+     * @param {AkairoModule} mod - Module being reloaded.
+     * @param {AkairoModule} newMod - New version of the module.
+     * @param {Map<string, ?Object>} cached - Cache entries removed for the reload.
+     * @returns {AkairoModule}
+     */
+    swapModule(mod, newMod, cached) {
+        const filepath = mod.filepath;
+        const resolved = require.resolve(filepath);
+        const fresh = require.cache[resolved];
+        this.deregister(mod);
+
+        try {
+            this.transferState(mod, newMod);
+            this.register(newMod, filepath);
+        } catch (err) {
+            this.register(mod, filepath);
+            this.constructor.restoreCache(cached);
+            throw err;
+        }
+
+        if (fresh) require.cache[resolved] = fresh;
+        mod.clearTimers();
+        if (!mod.enabled) newMod.disable();
+        return newMod;
+    }
+
+    /**
+     * Carries over the state of a module to its new version with `serializeState` and `restoreState`.
+     * @param {AkairoModule} mod - Module being reloaded.
+     * @param {AkairoModule} newMod - New version of the module.
+     * @returns {void}
+     */
+    transferState(mod, newMod) {
+        const data = mod.serializeState();
+        if (data === undefined) return;
+
+        newMod.restoreState({ version: mod.stateVersion, data });
+    }
+
+    /**
+     * Removes the file of a module from the require cache before it reloads.
+     * With `evictDependencies`, the files it requires are removed too.
+     * @param {string} filepath - Path to the module.
+     * @returns {Map<string, ?Object>} The removed cache entries.
+     */
+    uncacheFile(filepath) {
+        const resolved = require.resolve(filepath);
+        const files = this.evictDependencies ? [resolved, ...this.findRequiredFiles(resolved)] : [resolved];
+        const cached = new Map();
+
+        for (const file of files) {
+            cached.set(file, require.cache[file]);
+            delete require.cache[file];
+        }
+
+        return cached;
+    }
+
+    /**
+     * Finds the files required by a file, directly or through other files.
+     * Files in `node_modules` and the files of this package are left out, along with the files they require.
+     * ES modules are not in the require cache, so what they import is not found.
+     * @param {string} filepath - Path to the file.
+     * @returns {string[]}
+     */
+    findRequiredFiles(filepath) {
+        const entry = require.cache[require.resolve(filepath)];
+        if (!entry) return [];
+
+        const files = new Set();
+        (function find(parent) {
+            for (const child of parent.children) {
+                if (files.has(child.filename) || child.filename === entry.filename) continue;
+                if (child.filename.split(path.sep).includes('node_modules') || child.filename.startsWith(`${PACKAGE_ROOT}${path.sep}`)) continue;
+
+                files.add(child.filename);
+                find(child);
+            }
+        }(entry));
+
+        return Array.from(files);
+    }
+
+    /**
+     * Finds the modules whose files require a file, directly or through other files.
+     * @param {string} filepath - Path to the file.
+     * @returns {AkairoModule[]}
+     */
+    findRequiring(filepath) {
+        const resolved = path.resolve(filepath);
+        return this.modules.filter(m => m.filepath && this.findRequiredFiles(m.filepath).includes(resolved)).array();
+    }
+
+    /**
+     * Removes the files required by modules from the require cache, so they are required again when the modules reload.
+     * @param {AkairoModule[]} mods - Modules to remove the files of.
+     * @returns {void}
+     */
+    evictRequired(mods) {
+        const files = [].concat(...mods.map(m => this.findRequiredFiles(m.filepath)));
+        for (const file of files) delete require.cache[file];
+    }
+
+    /**
+     * Reloads all modules that require a file, such as a helper that changed.
+     * The files they require are evicted from the require cache first, even without `evictDependencies`.
+     * @param {string} filepath - Path to the file.
+     * @returns {ReloadResults}
+     */
+    reloadRequiring(filepath) {
+        const mods = this.findRequiring(filepath);
+        this.evictRequired(mods);
+        return this.reloadAll(mods);
+    }
+
+    /**
+     * Reloads all modules that require a file, and the modules that depend on them, awaiting their hooks like `reloadAsync`.
+     * The files they require are evicted from the require cache first, even without `evictDependencies`.
+     * @param {string} filepath - Path to the file.
+     * @returns {Promise<AkairoModule[]>} The modules after reloading.
+     */
+    async reloadRequiringAsync(filepath) {
+        const mods = this.findRequiring(filepath);
+        this.evictRequired(mods);
+
+        const reloaded = [];
+        for (const m of this.sortWithDependents(mods)) {
+            if (!m.filepath || m.handler.modules.get(m.id) !== m) continue;
+
+            let newMod = m;
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                newMod = await m.handler.reloadSingleAsync(m);
+            } catch (err) {
+                m.handler.emitReloadError(err, m);
+            }
+
+            if (m.handler === this) reloaded.push(newMod);
+        }
+
+        return reloaded;
+    }
+
+    /**
+     * Handles a Promise returned by a hook on the sync paths, where hooks are not awaited, so that it cannot reject unhandled.
+     * A rejection is emitted as `loadError`, and a module whose `onLoad` rejected is deregistered.
+     * @param {AkairoModule} mod - Module the hook belongs to.
+     * @param {any} ret - What the hook returned.
+     * @param {boolean} [isLoad=false] - Whether the hook is `onLoad`.
+     * @returns {void}
+     */
+    catchHook(mod, ret, isLoad = false) {
+        if (!isPromise(ret)) return;
+
+        ret.catch(err => {
+            if (isLoad && this.modules.get(mod.id) === mod) {
+                this.deregister(mod);
+                mod.clearTimers();
+            }
+
+            this.emitLoadError(err, mod.filepath);
+        });
+    }
+
+    /**
+     * Handles errors from reloading a module.
+     * @param {Error} err - The error.
+     * @param {AkairoModule} mod - Module that failed to reload.
+     * @returns {void}
+     */
+    emitReloadError(err, mod) {
+        if (this.listenerCount(AkairoHandlerEvents.RELOAD_ERROR)) {
+            this.emit(AkairoHandlerEvents.RELOAD_ERROR, err, mod);
+            return;
+        }
+
+        throw err;
+    }
+
+    /**
+     * Starts watching a directory, loading, reloading, or removing modules as their files change.
+     * Files are picked up the same way as `loadAll`.
+     * Every directory that files would be discovered in is watched, even if it is empty, along with directories created later.
+     * @param {string|string[]} [directory] - Directory or directories to watch.
+     * Defaults to the directory passed in the constructor.
+     * @returns {AkairoHandler}
+     */
+    startWatching(directory = this.directory) {
+        if (Array.isArray(directory)) {
+            for (const dir of directory) this.startWatching(dir);
+            return this;
+        }
+
+        const root = path.resolve(directory);
+        for (const dir of this.discover(root, root, true)) {
+            this.watchDirectory(dir, root);
+        }
+
+        return this;
+    }
+
+    /**
+     * Watches a single directory, if it is not watched already.
+     * @param {string} directory - Directory to watch.
+     * @param {string} root - Directory that was passed to `startWatching`.
+     * @returns {void}
+     */
+    watchDirectory(directory, root) {
+        if (this.watchers.has(directory)) return;
+
+        const watcher = fs.watch(directory, (eventType, filename) => {
+            if (filename) this.queueWatchedChange(path.join(directory, filename.toString()), root);
+        });
+
+        watcher.on('error', () => this.unwatchDirectory(directory));
+        this.watchers.set(directory, watcher);
+    }
+
+    /**
+     * Stops watching all directories and discards pending changes.
+     * @returns {AkairoHandler}
+     */
+    stopWatching() {
+        for (const watcher of this.watchers.values()) watcher.close();
+        for (const timeout of this.watchTimeouts.values()) this.client.clearTimeout(timeout);
+        this.watchers.clear();
+        this.watchTimeouts.clear();
+        return this;
+    }
+
+    /**
+     * Stops watching a directory and everything under it.
+     * @param {string} directory - Directory to stop watching.
+     * @returns {void}
+     */
+    unwatchDirectory(directory) {
+        for (const [dir, watcher] of this.watchers) {
+            if (dir === directory || dir.startsWith(`${directory}${path.sep}`)) {
+                watcher.close();
+                this.watchers.delete(dir);
+            }
+        }
+    }
+
+    /**
+     * Queues a changed file to be handled once changes to it have settled.
+     * @param {string} filepath - Filepath that changed.
+     * @param {string} [root] - Directory that was passed to `startWatching`.
+     * Defaults to the parent directory of the file.
+     * @returns {void}
+     */
+    queueWatchedChange(filepath, root = path.dirname(filepath)) {
+        if (this.watchTimeouts.has(filepath)) this.client.clearTimeout(this.watchTimeouts.get(filepath));
+        this.watchTimeouts.set(filepath, this.client.setTimeout(() => {
+            this.watchTimeouts.delete(filepath);
+            this.handleWatchedChange(filepath, root).catch(err => this.emitLoadError(err, filepath));
+        }, this.watchDebounce));
+    }
+
+    /**
+     * Loads, reloads, or removes the module at a changed filepath.
+     * The async methods are used, so that hooks are awaited and ES modules can be loaded.
+     * @param {string} filepath - Filepath that changed.
+     * @param {string} [root] - Directory that was passed to `startWatching`.
+     * Defaults to the parent directory of the file.
+     * @returns {Promise<void>}
+     */
+    async handleWatchedChange(filepath, root = path.dirname(filepath)) {
+        const stats = fs.existsSync(filepath) ? fs.statSync(filepath) : null;
+
+        if (stats && stats.isDirectory()) {
+            if (!this.isDiscoverable(root, filepath, true)) return;
+
+            for (const dir of this.discover(filepath, root, true)) {
+                this.watchDirectory(dir, root);
+            }
+
+            for (const file of this.discover(filepath, root)) {
+                // eslint-disable-next-line no-await-in-loop
+                await this.handleWatchedChange(file, root);
+            }
+
+            return;
+        }
+
+        if (!stats && this.watchers.has(filepath)) {
+            this.unwatchDirectory(filepath);
+            for (const m of Array.from(this.modules.values())) {
+                // eslint-disable-next-line no-await-in-loop
+                if (m.filepath && m.filepath.startsWith(`${filepath}${path.sep}`)) await this.handleWatchedChange(m.filepath, root);
+            }
+
+            return;
+        }
+
+        if (stats && this.automateCategories && path.basename(filepath) === this.categoryFile) {
+            const directory = path.dirname(filepath);
+            try {
+                this.registerCategory(path.basename(directory), this.readCategoryFile(directory));
+            } catch (err) {
+                this.emitLoadError(err, filepath);
+            }
+
+            return;
+        }
+
+        const mod = this.modules.find(m => m.filepath === filepath);
+        const filter = this.loadFilter || (() => true);
+
+        try {
+            if (!stats) {
+                if (mod) await this.removeAsync(mod.id);
+            } else if (mod) {
+                await this.reloadAsync(mod.id);
+            } else if (this.findRequiring(filepath).length) {
+                await this.reloadRequiringAsync(filepath);
+            } else if (this.extensions.has(path.extname(filepath)) && filter(filepath) && this.isDiscoverable(root, filepath, false)) {
+                await this.loadAsync(filepath);
+            }
+        } catch (err) {
+            this.emitLoadError(err, filepath);
+        }
+    }
+
+    /**
+     * Handles errors from loading a watched file, or from a hook that was not awaited.
+     * This never throws, since these errors happen outside of the call that caused them, so that a half-written file does not crash the process.
+     * Emits `loadError` if it is listened to, else emits a process warning.
+     * @param {Error} err - The error.
+     * @param {string} filepath - Filepath of the file.
+     * @returns {void}
+     */
+    emitLoadError(err, filepath) {
+        if (this.listenerCount(AkairoHandlerEvents.LOAD_ERROR)) {
+            this.emit(AkairoHandlerEvents.LOAD_ERROR, err, filepath);
+            return;
+        }
+
+        process.emitWarning(err);
+    }
+
+    /**
+     * Finds the class to handle in the exports of a file.
+     * Looks through `default` exports if the exports themselves are not the class.
+     * Module definitions are made into classes with the `define` method of the class to handle.
+     * @param {any} m - Exports of the file.
+     * @returns {?Function}
+     */
+    findExport(m) {
+        if (!m) return null;
+        if (m.prototype instanceof this.classToHandle) return m;
+        if (m.default) return this.findExport(m.default);
+        return isDefinition(m) ? this.classToHandle.define(m) : null;
+    }
+
+    /**
+     * Checks if a module is disabled in a guild.
+     * Modules are stored by their qualified ID if they have one, so that subcommands do not collide with commands.
+     * @param {AkairoModule} mod - Module to check.
+     * @param {?Guild|Snowflake} guild - Guild to check.
+     * @returns {boolean}
+     */
+    isDisabledIn(mod, guild) {
+        if (!this.disabledProvider || !guild) return false;
+        return this.disabledProvider.get(guild.id || guild, this.disabledKey, []).includes(mod.qualifiedID || mod.id);
+    }
+
+    /**
+     * Disables or enables a module in a guild.
+     * @param {AkairoModule} mod - Module to use.
+     * @param {Guild|Snowflake} guild - Guild to use.
+     * @param {boolean} disabled - Whether the module should be disabled.
+     * @returns {Promise<boolean>}
+     */
+    async setDisabledIn(mod, guild, disabled) {
+        if (!this.disabledProvider) throw new AkairoError('NO_DISABLED_PROVIDER', this.classToHandle.name);
+
+        const id = guild.id || guild;
+        const modID = mod.qualifiedID || mod.id;
+        const disabledIDs = this.disabledProvider.get(id, this.disabledKey, []);
+        if (disabledIDs.includes(modID) === disabled) return false;
+
+        await this.disabledProvider.set(id, this.disabledKey, disabled
+            ? disabledIDs.concat(modID)
+            : disabledIDs.filter(i => i !== modID));
+
+        return true;
+    }
+
+    /**
+     * Finds the files to load in a directory, following the `include`, `exclude`, `ignoreFile`, and `followSymlinks` options.
+     * @param {string} directory - Directory to read.
+     * @param {string} [root] - Directory that patterns are relative to and that holds the ignore file.
+     * Defaults to the directory to read.
+     * @param {boolean} [directories=false] - Whether to find the directories that would be read instead, including the directory itself.
+     * @returns {string[]}
+     */
+    discover(directory, root = directory, directories = false) {
+        root = path.resolve(root);
+        const ignore = this.readIgnoreFile(root);
+        const visited = new Set([fs.realpathSync(directory)]);
+        const result = directories ? [path.resolve(directory)] : [];
+
+        const read = dir => {
+            for (const file of fs.readdirSync(dir)) {
+                const filepath = path.join(dir, file);
+
+                let stats = fs.lstatSync(filepath);
+                if (stats.isSymbolicLink()) {
+                    if (!this.followSymlinks || !fs.existsSync(filepath)) continue;
+                    stats = fs.statSync(filepath);
+                }
+
+                if (stats.isDirectory()) {
+                    const realpath = fs.realpathSync(filepath);
+                    if (visited.has(realpath) || !this.isDiscoverable(root, filepath, true, ignore)) continue;
+                    visited.add(realpath);
+                    if (directories) result.push(filepath);
+                    read(filepath);
+                } else if (!directories && this.isDiscoverable(root, filepath, false, ignore)) {
+                    result.push(filepath);
+                }
+            }
+        };
+
+        read(path.resolve(directory));
+        return result;
+    }
+
+    /**
+     * Finds the files to load in a directory without blocking, like `discover`.
+     * @param {string} directory - Directory to read.
+     * @param {string} [root] - Directory that patterns are relative to and that holds the ignore file.
+     * Defaults to the directory to read.
+     * @returns {Promise<string[]>}
+     */
+    async discoverAsync(directory, root = directory) {
+        root = path.resolve(root);
+        const ignore = this.readIgnoreFile(root);
+        const visited = new Set([await fs.promises.realpath(directory)]);
+
+        const readEntry = async filepath => {
+            let stats = await fs.promises.lstat(filepath);
+            if (stats.isSymbolicLink()) {
+                if (!this.followSymlinks) return [];
+
+                try {
+                    stats = await fs.promises.stat(filepath);
+                } catch (err) {
+                    return [];
+                }
+            }
+
+            if (stats.isDirectory()) {
+                const realpath = await fs.promises.realpath(filepath);
+                if (visited.has(realpath) || !this.isDiscoverable(root, filepath, true, ignore)) return [];
+                visited.add(realpath);
+                return read(filepath); // eslint-disable-line no-use-before-define
+            }
+
+            return this.isDiscoverable(root, filepath, false, ignore) ? [filepath] : [];
+        };
+
+        const read = async dir => {
+            const files = await fs.promises.readdir(dir);
+            const results = await Promise.all(files.map(file => readEntry(path.join(dir, file))));
+            return [].concat(...results);
+        };
+
+        return read(path.resolve(directory));
+    }
+
+    /**
+     * Checks if a file or directory should be discovered.
+     * Directories are only checked against `exclude` and the ignore file, files are also checked against `include`.
+     * @param {string} root - Directory that patterns are relative to and that holds the ignore file.
+     * @param {string} filepath - Path to the file or directory.
+     * @param {boolean} isDirectory - Whether the path is a directory.
+     * @param {IgnoreRule[]} [ignore] - Rules of the ignore file.
+     * Defaults to reading the ignore file of the root.
+     * @returns {boolean}
+     */
+    isDiscoverable(root, filepath, isDirectory, ignore = this.readIgnoreFile(root)) {
+        const relative = path.relative(root, filepath).split(path.sep).join('/');
+        if (this.exclude.some(pattern => pattern.test(relative))) return false;
+
+        let ignored = false;
+        for (const rule of ignore) {
+            if (rule.directoryOnly && !isDirectory) continue;
+            if (rule.pattern.test(relative)) ignored = !rule.negate;
+        }
+
+        if (ignored) return false;
+        return isDirectory || !this.include.length || this.include.some(pattern => pattern.test(relative));
+    }
+
+    /**
+     * Reads the ignore file of a directory.
+     * @param {string} directory - Directory to read from.
+     * @returns {IgnoreRule[]}
+     */
+    readIgnoreFile(directory) {
+        if (!this.ignoreFile) return [];
+
+        const filepath = path.join(directory, this.ignoreFile);
+        if (!fs.existsSync(filepath)) return [];
+        return this.constructor.parseIgnoreFile(fs.readFileSync(filepath, 'utf8'));
+    }
+
+    /**
+     * Finds a category by name.
+     * @param {string} name - Name to find with.
+     * @returns {Category}
+     */
+    findCategory(name) {
+        return this.categories.find(category => {
+            return category.id.toLowerCase() === name.toLowerCase();
+        });
+    }
+
+    /**
+     * Puts back entries removed from the require cache.
+     * Files that had no entry are removed from it instead.
+     * @param {Map<string, ?Object>} cached - Cache entries to put back.
+     * @returns {void}
+     */
+    static restoreCache(cached) {
+        for (const [file, entry] of cached) {
+            if (entry) require.cache[file] = entry;
+            else delete require.cache[file];
+        }
+    }
+
+    /**
+     * Parses the rules of an ignore file.
+     * Each line is a glob pattern, like in a `.gitignore` file.
+     * Patterns without a slash match at any depth, a trailing slash matches only directories, and `!` negates.
+     * @param {string} text - Contents of the ignore file.
+     * @returns {IgnoreRule[]}
+     */
+    static parseIgnoreFile(text) {
+        const rules = [];
+        for (let line of text.split(/\r?\n/)) {
+            line = line.trim();
+            if (!line || line.startsWith('#')) continue;
+
+            const negate = line.startsWith('!');
+            if (negate) line = line.slice(1);
+
+            const directoryOnly = line.endsWith('/');
+            if (directoryOnly) line = line.slice(0, -1);
+
+            const anchored = line.includes('/');
+            if (line.startsWith('/')) line = line.slice(1);
+
+            rules.push({ pattern: globToRegExp(anchored ? line : `**/${line}`), negate, directoryOnly });
+        }
+
+        return rules;
+    }
+
+    /**
+     * Reads files recursively from a directory.
+     * This does not follow the discovery options, see `discover` for that.
+     * @param {string} directory - Directory to read.
+     * @returns {string[]}
+     */
+    static readdirRecursive(directory) {
+        const result = [];
+
+        (function read(dir) {
+            const files = fs.readdirSync(dir);
+
+            for (const file of files) {
+                const filepath = path.join(dir, file);
+
+                if (fs.statSync(filepath).isDirectory()) {
+                    read(filepath);
+                } else {
+                    result.push(filepath);
+                }
+            }
+        }(directory));
+
+        return result;
+    }
+}
+
+module.exports = AkairoHandler;
+
+/**
+ * Emitted when a module is loaded.
+ * @event AkairoHandler#load
+ * @param {AkairoModule} mod - Module loaded.
+ * @param {boolean} isReload - Whether or not this was a reload.
+ */
+
+/**
+ * Emitted when a module is reloaded.
+ * @event AkairoHandler#reload
+ * @param {AkairoModule} mod - Module reloaded.
+ */
+
+/**
+ * Emitted when a module fails to reload.
+ * The old module is kept when this happens.
+ * @event AkairoHandler#reloadError
+ * @param {Error} error - The error.
+ * @param {AkairoModule} mod - Module that failed to reload.
+ */
+
+/**
+ * Emitted when a module is removed.
+ * @event AkairoHandler#remove
+ * @param {AkairoModule} mod - Module removed.
+ */
+
+/**
+ * Emitted when a watched file fails to load, reload, or be removed.
+ * Also emitted when a Promise returned by a hook is rejected and the hook was not awaited, such as by `load`.
+ * Also emitted for each file that fails to load in `loadAll`, unless the `loadErrors` option is 'throw'.
+ * @event AkairoHandler#loadError
+ * @param {Error} error - The error.
+ * @param {string} filepath - Filepath of the file.
+ */
 
 /**
  * Options for module loading and handling.
  * @typedef {Object} AkairoHandlerOptions
- * @prop {string} [directory] - Directory to modules.
+ * @prop {string|string[]} [directory] - Directory or directories to modules.
  * @prop {Function} [classToHandle=AkairoModule] - Only classes that extends this class can be handled.
  * @prop {string[]|Set<string>} [extensions] - File extensions to load.
- * By default this is .js, .json, and .ts files.
+ * By default this is .js, .json, .ts, .mjs, and .cjs files.
  * @prop {boolean} [automateCategories=false] - Whether or not to set each module's category to its parent directory name.
+ * @prop {string} [categoryFile='category.json'] - Name of the JSON files that hold the CategoryOptions of their directory.
+ * Only used when categories are automated.
  * @prop {LoadPredicate} [loadFilter] - Filter for files to be loaded.
  * Can be set individually for each handler by overriding the `loadAll` method.
+ * @prop {string} [loadErrors='throw'] - How errors from loading files in `loadAll` are handled.
+ * With 'throw', the first error is thrown and loading stops there, leaving the modules loaded before it.
+ * With 'collect', each error is emitted as `loadError` and the other files are still loaded.
+ * With 'strict', it is the same as 'collect', but an error with all the errors as `errors` is thrown at the end if any file failed.
+ * Either way, the LoadResults are kept as `lastLoadResults`.
+ * @prop {boolean} [watch=false] - Whether or not to watch the directory after `loadAll` and load, reload, or remove modules as their files change.
+ * @prop {number} [watchDebounce=100] - Milliseconds to wait for changes to a file to settle before handling them.
+ * @prop {boolean} [evictDependencies=false] - Whether or not to evict the files required by a module from the require cache when it reloads.
+ * Files in `node_modules` are kept.
+ * @prop {Array<string|RegExp>} [include=[]] - Glob patterns or regular expressions that files must match to be loaded.
+ * Paths are matched relative to the directory, with `/` as the separator.
+ * If empty, all files can be loaded.
+ * @prop {Array<string|RegExp>} [exclude] - Glob patterns or regular expressions that files and directories must not match to be loaded.
+ * Paths are matched relative to the directory, with `/` as the separator.
+ * By default this excludes .d.ts files.
+ * @prop {?string} [ignoreFile='.akairoignore'] - Name of a file in the directory with patterns to ignore, like a `.gitignore` file.
+ * @prop {boolean} [followSymlinks=true] - Whether or not to follow symbolic links when reading directories.
+ * Otherwise, they are skipped.
+ * @prop {Provider} [disabledProvider] - Provider for the IDs of modules disabled per guild.
+ * Needed for `AkairoModule#disableIn` and `AkairoModule#enableIn`.
+ * @prop {string} [disabledKey='disabled'] - Key of the provider entries for the IDs of modules disabled per guild.
+ * Handlers that share a provider should use different keys.
+ */
+
+/**
+ * Results of loading a directory with `loadAll`.
+ * @typedef {Object} LoadResults
+ * @prop {Collection<string, AkairoModule>} loaded - Modules of the handler that were loaded, mapped by ID.
+ * @prop {string[]} skipped - Filepaths that were left out by the extensions or the load filter, or that are not modules.
+ * @prop {Collection<string, Error>} failed - Errors of files that failed to load, mapped by filepath.
+ */
+
+/**
+ * A rule of an ignore file.
+ * @typedef {Object} IgnoreRule
+ * @prop {RegExp} pattern - Pattern for paths relative to the directory.
+ * @prop {boolean} negate - Whether the rule includes the paths it matches again.
+ * @prop {boolean} directoryOnly - Whether the rule only matches directories.
+ */
+
+/**
+ * Results of reloading multiple modules.
+ * @typedef {Object} ReloadResults
+ * @prop {Collection<string, AkairoModule>} reloaded - Modules that were reloaded, mapped by ID.
+ * @prop {Collection<string, Error>} failed - Errors from modules that failed to reload, mapped by ID.
  */
 
 /**
@@ -4,7 +4,7 @@ class AkairoModule {
      * @param {string} id - ID of module.
      * @param {AkairoModuleOptions} [options={}] - Options.
      */
-    constructor(id, { category = 'default' } = {}) {
+    constructor(id, { category = 'default', dependencies = [], stateVersion = 0 } = {}) {
         /**
          * ID of the module.
          * @type {string}
@@ -23,6 +23,19 @@ class AkairoModule {
          */
         this.category = null;
 
+        /**
+         * IDs of modules this depends on.
+         * @type {string[]}
+         */
+        this.dependencies = dependencies;
+
+        /**
+         * Version of the state from `serializeState`.
+         * Change it when the shape of the state changes, so `restoreState` can tell old state apart.
+         * @type {number}
+         */
+        this.stateVersion = stateVersion;
+
         /**
          * The filepath.
          * @type {string}
@@ -40,6 +53,186 @@ class AkairoModule {
          * @type {AkairoHandler}
          */
         this.handler = null;
+
+        /**
+         * Whether the module is enabled.
+         * Disabled modules stay loaded, but are not run.
+         * @type {boolean}
+         */
+        this.enabled = true;
+
+        /**
+         * Timeouts created through this module, cleared when it is unloaded.
+         * @type {Set<Timeout>}
+         */
+        this.timeouts = new Set();
+
+        /**
+         * Intervals created through this module, cleared when it is unloaded.
+         * @type {Set<Timeout>}
+         */
+        this.intervals = new Set();
+    }
+
+    /**
+     * Runs when the module is loaded.
+     * If a Promise is returned, it is awaited by `loadAsync`.
+     * @returns {any}
+     */
+    onLoad() {
+        return undefined;
+    }
+
+    /**
+     * Runs when the module is removed, or when it is replaced by a reload.
+     * If a Promise is returned, it is awaited by `removeAsync` and `reloadAsync`.
+     * @returns {any}
+     */
+    onUnload() {
+        return undefined;
+    }
+
+    /**
+     * Runs on the new module when it is loaded by a reload, instead of `onLoad`.
+     * If a Promise is returned, it is awaited by `reloadAsync`.
+     * By default, this calls `onLoad`.
+     * @param {AkairoModule} oldMod - The module that was replaced.
+     * @returns {any}
+     */
+    onReload() {
+        return this.onLoad();
+    }
+
+    /**
+     * Gets the in-memory state of the module to carry over to its new version when it reloads.
+     * If undefined is returned, `restoreState` is not called on the new module.
+     * @returns {any}
+     */
+    serializeState() {
+        return undefined;
+    }
+
+    /**
+     * Takes over the state of the old version of the module when it reloads, before `onReload`.
+     * The state can be migrated or discarded if its version is not the current `stateVersion`.
+     * If this throws, the reload fails and the old module is kept.
+     * @param {ModuleState} state - State of the old module.
+     * @returns {void}
+     */
+    restoreState() {
+        return undefined;
+    }
+
+    /**
+     * Sets a timeout that will be automatically cleared when the module is unloaded.
+     * @param {Function} fn - Function to execute.
+     * @param {number} delay - Time to wait before executing (in milliseconds).
+     * @param {...any} args - Arguments for the function.
+     * @returns {Timeout}
+     */
+    setTimeout(fn, delay, ...args) {
+        const timeout = setTimeout(() => {
+            fn(...args);
+            this.timeouts.delete(timeout);
+        }, delay);
+
+        this.timeouts.add(timeout);
+        return timeout;
+    }
+
+    /**
+     * Clears a timeout.
+     * @param {Timeout} timeout - Timeout to cancel.
+     * @returns {void}
+     */
+    clearTimeout(timeout) {
+        clearTimeout(timeout);
+        this.timeouts.delete(timeout);
+    }
+
+    /**
+     * Sets an interval that will be automatically cleared when the module is unloaded.
+     * @param {Function} fn - Function to execute.
+     * @param {number} delay - Time to wait between executions (in milliseconds).
+     * @param {...any} args - Arguments for the function.
+     * @returns {Timeout}
+     */
+    setInterval(fn, delay, ...args) {
+        const interval = setInterval(fn, delay, ...args);
+        this.intervals.add(interval);
+        return interval;
+    }
+
+    /**
+     * Clears an interval.
+     * @param {Timeout} interval - Interval to cancel.
+     * @returns {void}
+     */
+    clearInterval(interval) {
+        clearInterval(interval);
+        this.intervals.delete(interval);
+    }
+
+    /**
+     * Clears all timeouts and intervals created through this module.
+     * @returns {void}
+     */
+    clearTimers() {
+        for (const timeout of this.timeouts) clearTimeout(timeout);
+        for (const interval of this.intervals) clearInterval(interval);
+        this.timeouts.clear();
+        this.intervals.clear();
+    }
+
+    /**
+     * Enables the module.
+     * Returns false if the module was already enabled.
+     * @returns {boolean}
+     */
+    enable() {
+        if (this.enabled) return false;
+        this.enabled = true;
+        return true;
+    }
+
+    /**
+     * Disables the module.
+     * Returns false if the module was already disabled.
+     * @returns {boolean}
+     */
+    disable() {
+        if (!this.enabled) return false;
+        this.enabled = false;
+        return true;
+    }
+
+    /**
+     * Enables the module in a guild, using the provider of the handler.
+     * Resolves to false if the module was not disabled in the guild.
+     * @param {Guild|Snowflake} guild - Guild to use.
+     * @returns {Promise<boolean>}
+     */
+    enableIn(guild) {
+        return this.handler.setDisabledIn(this, guild, false);
+    }
+
+    /**
+     * Disables the module in a guild, using the provider of the handler.
+     * Resolves to false if the module was already disabled in the guild.
+     * @param {Guild|Snowflake} guild - Guild to use.
+     * @returns {Promise<boolean>}
+     */
+    disableIn(guild) {
+        return this.handler.setDisabledIn(this, guild, true);
+    }
+
+    /**
+     * Checks if the module is enabled, and not disabled in a guild.
+     * @param {?Guild|Snowflake} guild - Guild to check.
+     * @returns {boolean}
+     */
+    isEnabledIn(guild) {
+        return this.enabled && !this.handler.isDisabledIn(this, guild);
     }
 
     /**
@@ -58,6 +251,19 @@ class AkairoModule {
         return this.handler.remove(this.id);
     }
 
+    /**
+     * Returns a serializable description of the module.
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            category: this.categoryID,
+            dependencies: this.dependencies,
+            enabled: this.enabled
+        };
+    }
+
     /**
      * Returns the ID.
      * @returns {string}
@@ -65,6 +271,33 @@ class AkairoModule {
     toString() {
         return this.id;
     }
+
+    /**
+     * Creates a module class from a definition, so a module can be written as an object instead of a subclass.
+     * Functions that replace methods of the class, such as `exec` and the hooks, become methods.
+     * Everything else is given as options, and what the options do not set is put on the module as is.
+     * The class can be exported from a file or given to `load` like any other module class.
+     * @param {ModuleDefinition} definition - Definition of the module.
+     * @returns {Function}
+     */
+    static define(definition) {
+        const { id, ...options } = definition;
+        const Mod = class extends this {
+            constructor() {
+                super(id, options);
+
+                for (const [key, value] of Object.entries(options)) {
+                    if (!(key in this)) this[key] = value;
+                }
+            }
+        };
+
+        for (const [key, value] of Object.entries(options)) {
+            if (typeof value === 'function' && typeof this.prototype[key] === 'function') Mod.prototype[key] = value;
+        }
+
+        return Mod;
+    }
 }
 
 module.exports = AkairoModule;
@@ -73,4 +306,23 @@ module.exports = AkairoModule;
  * Options for module.
  * @typedef {Object} AkairoModuleOptions
  * @prop {string} [category='default'] - Category ID for organization purposes.
+ * @prop {string[]} [dependencies=[]] - IDs of modules this depends on, which can be from any handler of the client.
+ * Modules are loaded after their dependencies in the same handler, cannot be removed while others depend on them, and are reloaded along with them.
+ * Dependencies from another handler must already be loaded, so that handler should load its modules first.
+ * Otherwise, the module fails to load with a missing dependency.
+ * @prop {number} [stateVersion=0] - Version of the state from `serializeState`.
+ */
+
+/**
+ * State carried over from a module to its new version when it reloads.
+ * @typedef {Object} ModuleState
+ * @prop {number} version - The `stateVersion` of the old module.
+ * @prop {any} data - What `serializeState` of the old module returned.
+ */
+
+/**
+ * Definition of a module, written as an object.
+ * It has the options of the module, along with methods such as `exec`.
+ * @typedef {AkairoModuleOptions} ModuleDefinition
+ * @prop {string} id - ID of the module.
  */
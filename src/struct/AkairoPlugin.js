@@ -0,0 +1,308 @@
+const AkairoError = require('../util/AkairoError');
+const { Collection } = require('discord.js');
+
+class AkairoPlugin {
+    /**
+     * Creates a new plugin, a bundle of modules, types, emitters and providers installed with `AkairoClient#use`.
+     * @param {string} id - ID of the plugin.
+     * @param {AkairoPluginOptions} [options={}] - Options.
+     */
+    constructor(id, {
+        namespace = id,
+        modules = [],
+        types = {},
+        emitters = {},
+        providers = {},
+        onInstall,
+        onUninstall
+    } = {}) {
+        /**
+         * ID of the plugin.
+         * @type {string}
+         */
+        this.id = id;
+
+        /**
+         * Namespace of the plugin.
+         * IDs of its modules and keys of its providers are prefixed with it, like `namespace:id`.
+         * Aliases are kept as they are, so that its commands are used like any other.
+         * @type {string}
+         */
+        this.namespace = namespace;
+
+        /**
+         * What the plugin adds when installed.
+         * @type {AkairoPluginContents}
+         */
+        this.contents = { modules, types, emitters, providers };
+
+        /**
+         * The Akairo client, set when installed.
+         * @type {?AkairoClient}
+         */
+        this.client = null;
+
+        /**
+         * Modules loaded by the plugin, mapped by their namespaced IDs.
+         * @type {Collection<string, AkairoModule>}
+         */
+        this.modules = new Collection();
+
+        /**
+         * Providers set up by the plugin.
+         * @type {Collection<string, Provider>}
+         */
+        this.providers = new Collection();
+
+        /**
+         * Functions that undo what the plugin added, in the order they were added.
+         * @type {Function[]}
+         */
+        this.undos = [];
+
+        if (typeof onInstall === 'function') this.onInstall = onInstall.bind(this);
+        if (typeof onUninstall === 'function') this.onUninstall = onUninstall.bind(this);
+    }
+
+    /**
+     * Runs when the plugin is installed, after its contents were added.
+     * If a Promise is returned, it is awaited.
+     * @param {Object} options - Options given to `AkairoClient#use`.
+     * @returns {any}
+     */
+    onInstall() {
+        return undefined;
+    }
+
+    /**
+     * Runs when the plugin is uninstalled, before its contents are removed.
+     * If a Promise is returned, it is awaited.
+     * @returns {any}
+     */
+    onUninstall() {
+        return undefined;
+    }
+
+    /**
+     * Installs the plugin on a client.
+     * Providers are set up first, then emitters and types are added, then modules are loaded in order.
+     * If anything fails, everything that was added is removed again.
+     * @param {AkairoClient} client - The Akairo client.
+     * @param {Object} [options={}] - Options for the plugin.
+     * @returns {Promise<AkairoPlugin>}
+     */
+    async install(client, options = {}) {
+        this.client = client;
+        const { modules, types, emitters, providers } = this.contents;
+
+        try {
+            for (const [key, provider] of Object.entries(providers)) {
+                // eslint-disable-next-line no-await-in-loop
+                await this.setProvider(key, provider);
+            }
+
+            this.setEmitters(emitters);
+            this.addTypes(types);
+            await this.loadModules(modules);
+            await this.onInstall(options);
+        } catch (err) {
+            await this.removeContents();
+            this.client = null;
+            throw err;
+        }
+
+        return this;
+    }
+
+    /**
+     * Uninstalls the plugin, removing everything it added.
+     * @returns {Promise<AkairoPlugin>}
+     */
+    async uninstall() {
+        await this.onUninstall();
+        await this.removeContents();
+        this.client = null;
+        return this;
+    }
+
+    /**
+     * Removes everything the plugin added, most recent first.
+     * @returns {Promise<void>}
+     */
+    async removeContents() {
+        while (this.undos.length) {
+            // eslint-disable-next-line no-await-in-loop
+            await this.undos.pop()();
+        }
+    }
+
+    /**
+     * Sets up a provider with its `init` method, and adds it to the providers of the client with a namespaced key.
+     * @param {string} key - Key of the provider.
+     * @param {Provider} provider - The provider.
+     * @returns {Promise<Provider>}
+     */
+    async setProvider(key, provider) {
+        const name = this.namespaced(key);
+        if (this.client.providers.has(name)) throw new AkairoError('ALREADY_LOADED', 'Provider', name);
+
+        await provider.init();
+        this.providers.set(key, provider);
+        this.client.providers.set(name, provider);
+        this.undos.push(() => {
+            this.providers.delete(key);
+            this.client.providers.delete(name);
+        });
+
+        return provider;
+    }
+
+    /**
+     * Adds emitters to the listener handlers of the client.
+     * Emitters replaced by these are put back when the plugin is uninstalled.
+     * @param {Object} emitters - Emitters to add.
+     * @returns {AkairoPlugin}
+     */
+    setEmitters(emitters) {
+        for (const handler of this.findHandlers(h => typeof h.setEmitters === 'function')) {
+            const previous = new Collection();
+            for (const key of Object.keys(emitters)) previous.set(key, handler.emitters.get(key));
+
+            handler.setEmitters(emitters);
+            this.undos.push(() => this.constructor.restore(handler.emitters, previous));
+        }
+
+        return this;
+    }
+
+    /**
+     * Adds argument types to the type resolvers of the command handlers of the client.
+     * Types replaced by these are put back when the plugin is uninstalled.
+     * @param {Object} types - Object of types, where the keys are the names and the values are the functions.
+     * @returns {AkairoPlugin}
+     */
+    addTypes(types) {
+        for (const handler of this.findHandlers(h => h.resolver)) {
+            const previous = new Collection();
+            for (const key of Object.keys(types)) previous.set(key, handler.resolver.types.get(key));
+
+            handler.resolver.addTypes(types);
+            this.undos.push(() => this.constructor.restore(handler.resolver.types, previous));
+        }
+
+        return this;
+    }
+
+    /**
+     * Loads modules into the handlers of the client that handle them, with namespaced IDs.
+     * Dependencies on other modules of the plugin are namespaced too, so they have to be loaded first.
+     * Aliases are not namespaced, so one that is already used makes the command fail to load.
+     * @param {Array<Function|AkairoModule>} things - Module classes or modules.
+     * @returns {Promise<AkairoModule[]>}
+     */
+    async loadModules(things) {
+        const mods = things.map(thing => this.createModule(thing));
+        const ids = new Set(mods.map(mod => mod.id));
+
+        for (const mod of mods) {
+            mod.id = this.namespaced(mod.id);
+            mod.dependencies = mod.dependencies.map(id => ids.has(id) ? this.namespaced(id) : id);
+        }
+
+        for (const mod of mods) {
+            const handler = this.findHandler(mod.constructor);
+            // eslint-disable-next-line no-await-in-loop
+            await handler.loadAsync(mod);
+
+            this.modules.set(mod.id, mod);
+            this.undos.push(async () => {
+                this.modules.delete(mod.id);
+                if (handler.modules.has(mod.id)) await handler.removeAsync(mod.id);
+            });
+        }
+
+        return mods;
+    }
+
+    /**
+     * Creates a module from a module class, or checks a module.
+     * @param {Function|AkairoModule} thing - Module class or module.
+     * @returns {AkairoModule}
+     */
+    createModule(thing) {
+        if (typeof thing !== 'function') {
+            this.findHandler(thing.constructor);
+            return thing;
+        }
+
+        return new thing(this.findHandler(thing)); // eslint-disable-line new-cap
+    }
+
+    /**
+     * Finds the handler of the client that handles a module class.
+     * @param {Function} Mod - Module class.
+     * @returns {AkairoHandler}
+     */
+    findHandler(Mod) {
+        const handler = this.findHandlers(h => Mod === h.classToHandle || Mod.prototype instanceof h.classToHandle)[0];
+        if (!handler) throw new AkairoError('NO_PLUGIN_HANDLER', this.id, Mod.name);
+        return handler;
+    }
+
+    /**
+     * Finds handlers of the client.
+     * @param {Function} fn - Function to filter handlers with.
+     * @returns {AkairoHandler[]}
+     */
+    findHandlers(fn) {
+        return Array.from(this.client.handlers).filter(fn);
+    }
+
+    /**
+     * Prefixes an ID or key with the namespace.
+     * @param {string} id - ID or key.
+     * @returns {string}
+     */
+    namespaced(id) {
+        return `${this.namespace}:${id}`;
+    }
+
+    /**
+     * Puts back previous values of a collection, deleting the keys that had none.
+     * @param {Collection} collection - Collection to change.
+     * @param {Collection} previous - Previous values.
+     * @returns {void}
+     */
+    static restore(collection, previous) {
+        for (const [key, value] of previous) {
+            if (value === undefined) collection.delete(key);
+            else collection.set(key, value);
+        }
+    }
+}
+
+module.exports = AkairoPlugin;
+
+/**
+ * Options to use for plugins.
+ * @typedef {Object} AkairoPluginOptions
+ * @prop {string} [namespace] - Namespace for the IDs of modules and the keys of providers.
+ * Defaults to the ID of the plugin.
+ * @prop {Array<Function|AkairoModule>} [modules=[]] - Module classes or modules to load.
+ * Each is loaded into the handler of the client that handles it.
+ * @prop {Object} [types={}] - Argument types to add to the type resolvers, where the keys are the names.
+ * @prop {Object} [emitters={}] - Emitters to add to the listener handlers, where the keys are the names.
+ * @prop {Object} [providers={}] - Providers to set up, where the keys are the names.
+ * They are added to `AkairoClient#providers` with namespaced keys, like `namespace:name`, for modules to use.
+ * @prop {Function} [onInstall] - Function to run when the plugin is installed, see `AkairoPlugin#onInstall`.
+ * @prop {Function} [onUninstall] - Function to run when the plugin is uninstalled, see `AkairoPlugin#onUninstall`.
+ */
+
+/**
+ * What a plugin adds when installed.
+ * @typedef {Object} AkairoPluginContents
+ * @prop {Array<Function|AkairoModule>} modules - Module classes or modules to load.
+ * @prop {Object} types - Argument types to add.
+ * @prop {Object} emitters - Emitters to add.
+ * @prop {Object} providers - Providers to set up.
+ */
@@ -2,6 +2,14 @@ const AkairoError = require('../../util/AkairoError');
 const AkairoModule = require('../AkairoModule');
 const ArgumentParser = require('./arguments/ArgumentParser');
 const ContentParser = require('./arguments/ContentParser');
+const { Collection } = require('discord.js');
+const { isDefinition, serialize } = require('../../util/Util');
+
+// Options that subcommands take from their parent when they are not given.
+const INHERITED_OPTIONS = [
+    'channel', 'ownerOnly', 'userPermissions', 'clientPermissions',
+    'cooldown', 'cooldownScope', 'cooldownWindow', 'ignoreCooldown', 'ignorePermissions', 'timeout'
+];
 
 /** @extends AkairoModule */
 class Command extends AkairoModule {
@@ -11,7 +19,7 @@ class Command extends AkairoModule {
      * @param {CommandOptions} [options={}] - Options for the command.
      */
     constructor(id, options = {}) {
-        super(id, { category: options.category });
+        super(id, { category: options.category, dependencies: options.dependencies, stateVersion: options.stateVersion });
 
         const {
             aliases = [],
@@ -19,22 +27,30 @@ class Command extends AkairoModule {
             quoted = true,
             separator,
             channel = null,
-            ownerOnly = false,
+            ownerOnly,
             editable = true,
             typing = false,
+            timeout = null,
             cooldown = null,
             ratelimit = 1,
+            cooldownScope = null,
+            cooldownBucket = null,
+            cooldownWindow = null,
             defaultPrompt = {},
             description = '',
+            examples = [],
+            usage = null,
             prefix = this.prefix,
             clientPermissions = this.clientPermissions,
             userPermissions = this.userPermissions,
             regex = this.regex,
             condition = this.condition || (() => false),
             before = this.before || (() => undefined),
+            middleware = [],
             lock,
             ignoreCooldown,
-            ignorePermissions
+            ignorePermissions,
+            subcommands = []
         } = options;
 
         /**
@@ -72,9 +88,10 @@ class Command extends AkairoModule {
 
         /**
          * Usable only by the client owner.
-         * @type {boolean}
+         * This is null until the command is loaded if the option was not given, so that the category default can be used.
+         * @type {?boolean}
          */
-        this.ownerOnly = Boolean(ownerOnly);
+        this.ownerOnly = ownerOnly == null ? null : Boolean(ownerOnly);
 
         /**
          * Whether or not this command can be ran by an edit.
@@ -88,6 +105,13 @@ class Command extends AkairoModule {
          */
         this.typing = Boolean(typing);
 
+        /**
+         * Time in milliseconds the command can run for before it is aborted.
+         * This is null until the command is loaded if the option was not given, so that the category default can be used.
+         * @type {?number}
+         */
+        this.timeout = timeout;
+
         /**
          * Cooldown in milliseconds.
          * @type {?number}
@@ -100,6 +124,26 @@ class Command extends AkairoModule {
          */
         this.ratelimit = ratelimit;
 
+        /**
+         * Who the cooldown applies to.
+         * This is null until the command is loaded if the option was not given, so that the category default can be used.
+         * @type {?CooldownScope}
+         */
+        this.cooldownScope = cooldownScope;
+
+        /**
+         * Name of the bucket of the cooldown, shared by commands with the same one.
+         * @type {?string}
+         */
+        this.cooldownBucket = cooldownBucket;
+
+        /**
+         * How uses are counted for the cooldown.
+         * This is null until the command is loaded if the option was not given, so that the category default can be used.
+         * @type {?CooldownWindow}
+         */
+        this.cooldownWindow = cooldownWindow;
+
         /**
          * Default prompt options.
          * @type {ArgumentPromptOptions}
@@ -112,6 +156,18 @@ class Command extends AkairoModule {
          */
         this.description = Array.isArray(description) ? description.join('\n') : description;
 
+        /**
+         * Examples of using the command, without the prefix.
+         * @type {string[]}
+         */
+        this.examples = [].concat(examples);
+
+        /**
+         * Usage given in the options, used instead of the generated one.
+         * @type {?string}
+         */
+        this.customUsage = usage;
+
         /**
          * Command prefix overwrite.
          * @type {?string|string[]|PrefixSupplier}
@@ -152,6 +208,12 @@ class Command extends AkairoModule {
          */
         this.before = before.bind(this);
 
+        /**
+         * Middleware that wraps the execution of the command, ran after the middleware of the handler.
+         * @type {CommandMiddleware[]}
+         */
+        this.middleware = [].concat(middleware).map(fn => fn.bind(this));
+
         /**
          * The key generator for the locker.
          * @type {?KeyGenerator}
@@ -186,6 +248,25 @@ class Command extends AkairoModule {
          */
         this.ignorePermissions = typeof ignorePermissions === 'function' ? ignorePermissions.bind(this) : ignorePermissions;
 
+        /**
+         * Command this is a subcommand of.
+         * @type {?Command}
+         */
+        this.parent = null;
+
+        /**
+         * Options this took from the command it is a subcommand of, since it was not given them.
+         * @type {string[]}
+         */
+        this.inheritedOptions = [];
+
+        /**
+         * Subcommands, mapped by ID.
+         * @type {Collection<string, Command>}
+         */
+        this.subcommands = new Collection();
+        for (const subcommand of subcommands) this.addSubcommand(subcommand);
+
         /**
          * The ID of this command.
          * @name Command#id
@@ -204,12 +285,153 @@ class Command extends AkairoModule {
      * @abstract
      * @param {Message} message - Message that triggered the command.
      * @param {Object} args - Evaluated arguments.
+     * @param {AbortSignal|CommandSignal} signal - Signal that aborts when the command times out or is cancelled.
+     * The handler stops waiting for the command then, so long running work should stop when it aborts.
      * @returns {any}
      */
     exec() {
         throw new AkairoError('NOT_IMPLEMENTED', this.constructor.name, 'exec');
     }
 
+    /**
+     * Whether the command has an `exec` method of its own.
+     * Groups of subcommands do not, so they are not ran themselves.
+     * @returns {boolean}
+     */
+    hasExec() {
+        return this.exec !== Command.prototype.exec;
+    }
+
+    /**
+     * ID of the command with the IDs of the commands it is a subcommand of, separated by spaces.
+     * @type {string}
+     * @readonly
+     */
+    get qualifiedID() {
+        return this.parent ? `${this.parent.qualifiedID} ${this.id}` : this.id;
+    }
+
+    /**
+     * Name the command is called with, with the names of the commands it is a subcommand of, like `config set`.
+     * @type {string}
+     * @readonly
+     */
+    get qualifiedName() {
+        return this.parent ? `${this.parent.qualifiedName} ${this.getNames()[0]}` : this.aliases[0] || this.id;
+    }
+
+    /**
+     * Usage of the command without the prefix, like `ban <member> [reason...] [--silent]`.
+     * This is the `usage` option if given, or is generated from the arguments otherwise.
+     * Setting it changes the `usage` option.
+     * @type {string}
+     */
+    get usage() {
+        return this.customUsage == null ? this.generateUsage() : this.customUsage;
+    }
+
+    set usage(value) {
+        this.customUsage = value;
+    }
+
+    /**
+     * Generates the usage of the command from its arguments.
+     * Commands with an argument provider function only have their name.
+     * @returns {string}
+     */
+    generateUsage() {
+        const args = typeof this.args === 'function' ? '' : this.args.getUsage();
+        return args ? `${this.qualifiedName} ${args}` : this.qualifiedName;
+    }
+
+    /**
+     * Adds a subcommand.
+     * The names of a subcommand are its aliases, or its ID if it has none.
+     * @param {Function|Command|CommandDefinition} thing - Command class, command, or command definition.
+     * @returns {Command}
+     */
+    addSubcommand(thing) {
+        const Subcommand = isDefinition(thing) ? Command.define(thing) : thing;
+        const subcommand = typeof Subcommand === 'function' ? new Subcommand() : Subcommand;
+
+        if (this.subcommands.has(subcommand.id)) {
+            throw new AkairoError('ALREADY_LOADED', 'Subcommand', `${this.qualifiedID} ${subcommand.id}`);
+        }
+
+        for (const name of subcommand.getNames()) {
+            const conflict = this.findSubcommand(name);
+            if (conflict) throw new AkairoError('ALIAS_CONFLICT', name, subcommand.id, conflict.id);
+        }
+
+        subcommand.parent = this;
+        this.subcommands.set(subcommand.id, subcommand);
+        return subcommand;
+    }
+
+    /**
+     * Finds a subcommand by one of its names.
+     * @param {string} name - Name to find with.
+     * @returns {?Command}
+     */
+    findSubcommand(name) {
+        name = name.toLowerCase();
+        return this.subcommands.find(subcommand => subcommand.getNames().some(n => n.toLowerCase() === name)) || null;
+    }
+
+    /**
+     * Gets the names the command can be called with as a subcommand.
+     * @returns {string[]}
+     */
+    getNames() {
+        return this.aliases.length ? this.aliases : [this.id];
+    }
+
+    /**
+     * Sets up the subcommands of a loaded command.
+     * They share its handler, file, and category, and options they were not given are taken from it.
+     * @returns {void}
+     */
+    setupSubcommands() {
+        for (const subcommand of this.subcommands.values()) {
+            subcommand.client = this.client;
+            subcommand.handler = this.handler;
+            subcommand.filepath = this.filepath;
+            subcommand.categoryID = this.categoryID;
+            subcommand.category = this.category;
+
+            // Options taken before are taken again, in case those of this command changed.
+            for (const key of subcommand.inheritedOptions) subcommand[key] = null;
+            subcommand.inheritedOptions = INHERITED_OPTIONS.filter(key => subcommand[key] == null);
+            for (const key of subcommand.inheritedOptions) subcommand[key] = this[key];
+
+            subcommand.ownerOnly = Boolean(subcommand.ownerOnly);
+            subcommand.setupSubcommands();
+        }
+    }
+
+    /**
+     * Finds the deepest subcommand named by the start of some content.
+     * @param {string} content - Content after the name of this command.
+     * @returns {{ command: Command, content: string }}
+     */
+    resolveSubcommand(content) {
+        const match = content.match(/^\s*(\S+)\s*([^]*)$/);
+        const subcommand = match && this.findSubcommand(match[1]);
+        if (!subcommand) return { command: this, content };
+
+        return subcommand.resolveSubcommand(match[2]);
+    }
+
+    /**
+     * Checks if the command is enabled, and not disabled in a guild.
+     * Subcommands are also disabled when their parent is.
+     * @param {?Guild|Snowflake} guild - Guild to check.
+     * @returns {boolean}
+     */
+    isEnabledIn(guild) {
+        return super.isEnabledIn(guild) && (!this.parent || this.parent.isEnabledIn(guild));
+    }
+
     /**
      * Parses content using the command's argument options.
      * @param {Message} message - Message to use.
@@ -225,6 +447,37 @@ class Command extends AkairoModule {
         return this.args.parse(message, content);
     }
 
+    /**
+     * Returns a serializable description of the command.
+     * Options that are functions are null.
+     * @returns {Object}
+     */
+    toJSON() {
+        return Object.assign(super.toJSON(), {
+            aliases: this.aliases,
+            description: serialize(this.description),
+            examples: this.examples,
+            usage: this.usage,
+            channel: this.channel,
+            ownerOnly: Boolean(this.ownerOnly),
+            userPermissions: serialize(this.userPermissions),
+            clientPermissions: serialize(this.clientPermissions),
+            cooldown: this.cooldown,
+            ratelimit: this.ratelimit,
+            cooldownScope: this.cooldownScope,
+            cooldownBucket: this.cooldownBucket,
+            cooldownWindow: this.cooldownWindow,
+            editable: this.editable,
+            typing: this.typing,
+            timeout: this.timeout,
+            prefix: serialize(this.prefix),
+            regex: serialize(this.regex),
+            args: typeof this.args === 'function' ? null : this.args.toJSON(),
+            defaultPrompt: serialize(this.defaultPrompt),
+            subcommands: this.subcommands.map(subcommand => subcommand.toJSON())
+        });
+    }
+
     /**
      * Reloads the command.
      * @method
@@ -245,6 +498,7 @@ module.exports = Command;
 /**
  * Options to use for command execution behavior.
  * Also includes properties from AkairoModuleOptions.
+ * The options `channel`, `ownerOnly`, `userPermissions`, `clientPermissions`, `cooldown`, `cooldownScope`, and `cooldownWindow` default to those of the category.
  * @typedef {AkairoModuleOptions} CommandOptions
  * @prop {string[]} [aliases=[]] - Command names.
  * @prop {Array<ArgumentOptions|Control>|ArgumentProvider} [args=[]] - Argument options to use.
@@ -254,8 +508,17 @@ module.exports = Command;
  * @prop {boolean} [ownerOnly=false] - Whether or not to allow client owner(s) only.
  * @prop {boolean} [typing=false] - Whether or not to type in channel during execution.
  * @prop {boolean} [editable=true] - Whether or not message edits will run this command.
+ * @prop {number} [timeout] - Time in milliseconds the command can run for before it is aborted.
+ * This includes `before` and parsing arguments, prompts included.
+ * Defaults to the `defaultTimeout` option of the handler, and 0 means no timeout.
  * @prop {number} [cooldown] - The command cooldown in milliseconds.
  * @prop {number} [ratelimit=1] - Amount of command uses allowed until cooldown.
+ * @prop {CooldownScope} [cooldownScope] - Who the cooldown applies to.
+ * Defaults to the `defaultCooldownScope` option of the handler.
+ * @prop {string} [cooldownBucket] - Name of a bucket to share the cooldown with other commands in it.
+ * If the handler has options for the bucket, they are used instead of those of the command.
+ * @prop {CooldownWindow} [cooldownWindow] - How uses are counted for the cooldown.
+ * Defaults to the `defaultCooldownWindow` option of the handler.
  * @prop {string|string[]|PrefixSupplier} [prefix] - The prefix(es) to overwrite the global one for this command.
  * @prop {PermissionResolvable|PermissionResolvable[]|MissingPermissionSupplier} [userPermissions] - Permissions required by the user to run this command.
  * @prop {PermissionResolvable|PermissionResolvable[]|MissingPermissionSupplier} [clientPermissions] - Permissions required by the client to run this command.
@@ -263,11 +526,25 @@ module.exports = Command;
  * The args object will have `match` and `matches` properties.
  * @prop {ExecutionPredicate} [condition] - Whether or not to run on messages that are not directly commands.
  * @prop {BeforeAction} [before] - Function to run before argument parsing and execution.
+ * @prop {CommandMiddleware|CommandMiddleware[]} [middleware=[]] - Middleware that wraps the execution of the command.
+ * It is ran after the middleware of the handler, see `CommandHandler#use`.
  * @prop {KeyGenerator|string} [lock] - The key type or key generator for the locker. If lock is a string, it's expected one of 'guild', 'channel', or 'user'.
  * @prop {Snowflake|Snowflake[]|IgnoreCheckPredicate} [ignoreCooldown] - ID of user(s) to ignore cooldown or a function to ignore.
  * @prop {Snowflake|Snowflake[]|IgnoreCheckPredicate} [ignorePermissions] - ID of user(s) to ignore `userPermissions` checks or a function to ignore.
  * @prop {ArgumentPromptOptions} [defaultPrompt={}] - The default prompt options.
  * @prop {StringResolvable} [description=''] - Description of the command.
+ * @prop {string|string[]} [examples=[]] - Examples of using the command, without the prefix, like `ping` or `ban @user spam`.
+ * @prop {string} [usage] - Usage of the command without the prefix, to use instead of the one generated from the arguments.
+ * @prop {Array<Function|Command|CommandDefinition>} [subcommands=[]] - Subcommands, as command classes, commands, or command definitions.
+ * A subcommand is ran when its name follows the name of this command, and a subcommand can have subcommands of its own.
+ * Subcommands take the options `channel`, `ownerOnly`, `userPermissions`, `clientPermissions`, `cooldown`, `cooldownScope`, `cooldownWindow`, `ignoreCooldown`, and `ignorePermissions` from this command when they are not given.
+ */
+
+/**
+ * Definition of a command, written as an object.
+ * @typedef {CommandOptions} CommandDefinition
+ * @prop {string} id - ID of the command.
+ * @prop {Function} [exec] - Function to run the command.
  */
 
 /**
@@ -314,3 +591,21 @@ module.exports = Command;
  * @param {Message} message - Message to get regex for.
  * @returns {RegExp}
  */
+
+/**
+ * Who a cooldown applies to.
+ * - `user` applies to each user.
+ * - `member` applies to each user in each guild, and to each user in direct messages.
+ * - `channel` applies to each channel.
+ * - `guild` applies to each guild, and to each channel in direct messages.
+ * - `role` applies to each highest role of members, and to each user in direct messages.
+ * - `global` applies to everyone together.
+ * @typedef {string} CooldownScope
+ */
+
+/**
+ * How uses are counted for a cooldown.
+ * - `fixed` counts uses from the first one, and resets all of them when the cooldown ends.
+ * - `sliding` counts uses within the last `cooldown` milliseconds, so each use frees up when it is that old.
+ * @typedef {string} CooldownWindow
+ */
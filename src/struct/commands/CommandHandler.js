@@ -1,11 +1,17 @@
 const AkairoError = require('../../util/AkairoError');
 const AkairoHandler = require('../AkairoHandler');
-const { BuiltInReasons, CommandHandlerEvents } = require('../../util/Constants');
+const { BuiltInReasons, CommandHandlerEvents, CooldownScopes, CooldownWindows } = require('../../util/Constants');
 const { Collection } = require('discord.js');
 const Command = require('./Command');
+const CommandMetrics = require('./CommandMetrics');
+const CommandSignal = require('./CommandSignal');
 const CommandUtil = require('./CommandUtil');
+const CooldownStore = require('./CooldownStore');
+const HelpCommand = require('./HelpCommand');
+const JSONCommand = require('./JSONCommand');
 const ParsingFlag = require('./ParsingFlag');
-const { isPromise } = require('../../util/Util');
+const PrefixManager = require('./PrefixManager');
+const { distance, isDefinition, isPromise, serialize } = require('../../util/Util');
 const TypeResolver = require('./arguments/TypeResolver');
 
 /** @extends AkairoHandler */
@@ -18,9 +24,20 @@ class CommandHandler extends AkairoHandler {
     constructor(client, {
         directory,
         classToHandle = Command,
-        extensions = ['.js', '.ts'],
+        extensions = ['.js', '.json', '.ts', '.mjs', '.cjs'],
         automateCategories,
+        categoryFile,
         loadFilter,
+        loadErrors,
+        watch,
+        watchDebounce,
+        evictDependencies,
+        include,
+        exclude,
+        ignoreFile,
+        followSymlinks,
+        disabledProvider,
+        disabledKey,
         blockClient = true,
         blockBots = true,
         fetchMembers = false,
@@ -30,12 +47,27 @@ class CommandHandler extends AkairoHandler {
         commandUtilLifetime = 3e5,
         commandUtilSweepInterval = 3e5,
         defaultCooldown = 0,
+        defaultCooldownScope = CooldownScopes.USER,
+        defaultCooldownWindow = CooldownWindows.FIXED,
+        cooldownBuckets = {},
+        cooldownStore,
+        cooldownSweepInterval = 3e5,
+        defaultTimeout = 0,
+        metrics = {},
         ignoreCooldown = client.ownerID,
         ignorePermissions = [],
         defaultPrompt = {},
         prefix = '!',
+        prefixProvider = null,
+        prefixKey = 'prefix',
         allowMention = true,
-        aliasReplacement
+        aliasReplacement,
+        helpCommand = false,
+        sendUsage = false,
+        suggestionDistance = 2,
+        suggestionRatio = 0.4,
+        suggestionLimit = 3,
+        sendSuggestions = false
     } = {}) {
         if (!(classToHandle.prototype instanceof Command || classToHandle === Command)) {
             throw new AkairoError('INVALID_CLASS_TO_HANDLE', classToHandle.name, Command.name);
@@ -46,7 +78,18 @@ class CommandHandler extends AkairoHandler {
             classToHandle,
             extensions,
             automateCategories,
-            loadFilter
+            categoryFile,
+            loadFilter,
+            loadErrors,
+            watch,
+            watchDebounce,
+            evictDependencies,
+            include,
+            exclude,
+            ignoreFile,
+            followSymlinks,
+            disabledProvider,
+            disabledKey
         });
 
         /**
@@ -67,6 +110,37 @@ class CommandHandler extends AkairoHandler {
          */
         this.aliasReplacement = aliasReplacement;
 
+        /**
+         * Whether to reply with the usage of a command when an argument without a prompt or a default fails to parse or is not given.
+         * @type {boolean}
+         */
+        this.sendUsage = Boolean(sendUsage);
+
+        /**
+         * Most edits between an unknown alias and an alias of a command for the command to be suggested.
+         * If 0, commands are not suggested.
+         * @type {number}
+         */
+        this.suggestionDistance = suggestionDistance;
+
+        /**
+         * Most edits between an unknown alias and an alias of a command for the command to be suggested, relative to the length of the longer one.
+         * @type {number}
+         */
+        this.suggestionRatio = suggestionRatio;
+
+        /**
+         * Most commands to suggest.
+         * @type {number}
+         */
+        this.suggestionLimit = suggestionLimit;
+
+        /**
+         * Whether to reply with the suggested commands.
+         * @type {boolean}
+         */
+        this.sendSuggestions = Boolean(sendSuggestions);
+
         /**
          * Collection of prefix overwrites to commands.
          * @type {Collection<string|PrefixSupplier, Set<string>>}
@@ -134,10 +208,19 @@ class CommandHandler extends AkairoHandler {
         this.commandUtils = new Collection();
 
         /**
-         * Collection of cooldowns.
-         * @type {Collection<string, Object>}
+         * Store for cooldown entries.
+         * @type {CooldownStore}
          */
-        this.cooldowns = new Collection();
+        this.cooldownStore = CooldownStore.create(cooldownStore);
+
+        /**
+         * Time interval in milliseconds for sweeping expired cooldown entries.
+         * @type {number}
+         */
+        this.cooldownSweepInterval = cooldownSweepInterval;
+        if (this.cooldownSweepInterval > 0) {
+            this.client.setInterval(() => this.sweepCooldowns().catch(() => null), this.cooldownSweepInterval);
+        }
 
         /**
          * Default cooldown for commands.
@@ -145,6 +228,42 @@ class CommandHandler extends AkairoHandler {
          */
         this.defaultCooldown = defaultCooldown;
 
+        /**
+         * Default scope of cooldowns.
+         * @type {CooldownScope}
+         */
+        this.defaultCooldownScope = defaultCooldownScope;
+
+        /**
+         * Default window of cooldowns.
+         * @type {CooldownWindow}
+         */
+        this.defaultCooldownWindow = defaultCooldownWindow;
+
+        /**
+         * Options of cooldown buckets, mapped by name.
+         * @type {Collection<string, CooldownBucketOptions>}
+         */
+        this.cooldownBuckets = new Collection(Object.entries(cooldownBuckets));
+
+        /**
+         * Default time in milliseconds commands can run for before they are aborted.
+         * @type {number}
+         */
+        this.defaultTimeout = defaultTimeout;
+
+        /**
+         * Commands being ran, mapped by the ID of the message that triggered them.
+         * @type {Collection<Snowflake, CommandInvocation[]>}
+         */
+        this.invocations = new Collection();
+
+        /**
+         * Metrics of commands, recorded at each stage of handling.
+         * @type {CommandMetrics}
+         */
+        this.metrics = new CommandMetrics(this, metrics);
+
         /**
          * ID of user(s) to ignore cooldown or a function to ignore.
          * @type {Snowflake|Snowflake[]|IgnoreCheckPredicate}
@@ -163,6 +282,12 @@ class CommandHandler extends AkairoHandler {
          */
         this.prompts = new Collection();
 
+        /**
+         * Middleware that wraps the execution of commands, in the order it is ran.
+         * @type {CommandMiddleware[]}
+         */
+        this.middleware = [];
+
         /**
          * Default prompt options.
          * @type {ArgumentPromptOptions}
@@ -189,6 +314,13 @@ class CommandHandler extends AkairoHandler {
          */
         this.prefix = typeof prefix === 'function' ? prefix.bind(this) : prefix;
 
+        /**
+         * Manager for prefixes per guild and per channel.
+         * The prefix option is used where none are set.
+         * @type {?PrefixManager}
+         */
+        this.prefixManager = prefixProvider ? new PrefixManager(this, { provider: prefixProvider, key: prefixKey }) : null;
+
         /**
          * Whether or not mentions are allowed for prefixing.
          * @type {boolean|MentionPrefixPredicate}
@@ -204,7 +336,7 @@ class CommandHandler extends AkairoHandler {
         /**
          * Directory to commands.
          * @name CommandHandler#directory
-         * @type {string}
+         * @type {string|string[]}
          */
 
         /**
@@ -214,6 +346,14 @@ class CommandHandler extends AkairoHandler {
          */
 
         this.setup();
+
+        if (helpCommand) {
+            if (!(HelpCommand.prototype instanceof classToHandle || HelpCommand === classToHandle)) {
+                throw new AkairoError('HELP_COMMAND_NOT_HANDLED', classToHandle.name);
+            }
+
+            this.load(new HelpCommand(typeof helpCommand === 'object' ? helpCommand : {}));
+        }
     }
 
     setup() {
@@ -238,25 +378,31 @@ class CommandHandler extends AkairoHandler {
      * @returns {void}
      */
     register(command, filepath) {
-        super.register(command, filepath);
-
+        // Conflicts are checked before anything is registered so that a failed register leaves no trace.
+        const aliases = new Set();
         for (let alias of command.aliases) {
-            const conflict = this.aliases.get(alias.toLowerCase());
+            const conflict = this.aliases.get(alias.toLowerCase()) || (aliases.has(alias.toLowerCase()) && command.id);
             if (conflict) throw new AkairoError('ALIAS_CONFLICT', alias, command.id, conflict);
 
             alias = alias.toLowerCase();
-            this.aliases.set(alias, command.id);
+            aliases.add(alias);
             if (this.aliasReplacement) {
                 const replacement = alias.replace(this.aliasReplacement, '');
 
                 if (replacement !== alias) {
-                    const replacementConflict = this.aliases.get(replacement);
+                    const replacementConflict = this.aliases.get(replacement) || (aliases.has(replacement) && command.id);
                     if (replacementConflict) throw new AkairoError('ALIAS_CONFLICT', replacement, command.id, replacementConflict);
-                    this.aliases.set(replacement, command.id);
+                    aliases.add(replacement);
                 }
             }
         }
 
+        super.register(command, filepath);
+
+        for (const alias of aliases) {
+            this.aliases.set(alias, command.id);
+        }
+
         if (command.prefix != null) {
             let newEntry = false;
 
@@ -296,6 +442,17 @@ class CommandHandler extends AkairoHandler {
         }
     }
 
+    /**
+     * Sets the default options of the category of a command on it, then sets up its subcommands.
+     * Commands that are not owner only by their options or the defaults are not.
+     * @param {Command} command - Command to use.
+     * @returns {void}
+     */
+    applyCategoryDefaults(command) {
+        command.category.applyDefaults(command, { ownerOnly: false });
+        command.setupSubcommands();
+    }
+
     /**
      * Deregisters a module.
      * @param {Command} command - Module to use.
@@ -335,6 +492,22 @@ class CommandHandler extends AkairoHandler {
         super.deregister(command);
     }
 
+    /**
+     * Finds the command class exported by a file.
+     * Command definitions without an `exec` method, such as the contents of JSON files, are made into classes with `JSONCommand`.
+     * @param {any} m - Exports of the file.
+     * @returns {?Function}
+     */
+    findExport(m) {
+        if (isDefinition(m) && !m.default && typeof m.exec !== 'function') {
+            return JSONCommand.prototype instanceof this.classToHandle || JSONCommand === this.classToHandle
+                ? JSONCommand.from(m)
+                : null;
+        }
+
+        return super.findExport(m);
+    }
+
     /**
      * Handles a message.
      * @param {Message} message - Message to handle.
@@ -376,6 +549,10 @@ class CommandHandler extends AkairoHandler {
             }
 
             if (ran === false) {
+                if (!parsed.command && parsed.alias && this.suggestionDistance > 0) {
+                    await this.runSuggestions(message, parsed);
+                }
+
                 this.emit(CommandHandlerEvents.MESSAGE_INVALID, message);
                 return false;
             }
@@ -389,6 +566,7 @@ class CommandHandler extends AkairoHandler {
 
     /**
      * Handles normal commands.
+     * The deepest subcommand named at the start of the content is ran instead of the command.
      * @param {Message} message - Message to handle.
      * @param {string} content - Content of message without command.
      * @param {Command} command - Command instance.
@@ -396,23 +574,57 @@ class CommandHandler extends AkairoHandler {
      * @returns {Promise<?boolean>}
      */
     async handleDirectCommand(message, content, command, ignore = false) {
+        ({ command, content } = command.resolveSubcommand(content));
+
         let key;
+        let invocation;
         try {
+            if (!ignore && message.edited && !command.editable) return false;
+            this.metrics.increment(command, 'invocations');
+
             if (!ignore) {
-                if (message.edited && !command.editable) return false;
+                if (!command.isEnabledIn(message.guild)) {
+                    this.metrics.block(command, BuiltInReasons.DISABLED);
+                    this.emit(CommandHandlerEvents.COMMAND_DISABLED, message, command);
+                    return false;
+                }
+
                 if (await this.runPostTypeInhibitors(message, command)) return false;
             }
 
-            const before = command.before(message);
-            if (isPromise(before)) await before;
+            if (!command.hasExec()) {
+                this.emit(CommandHandlerEvents.MISSING_SUBCOMMAND, message, command, content);
+                await this.replyWithUsage(message, command);
+                return false;
+            }
+
+            invocation = this.startInvocation(message, command);
+            const args = await this.untilAborted(invocation, (async () => {
+                const before = command.before(message);
+                if (isPromise(before)) await before;
 
-            const args = await command.parse(message, content);
-            if (args instanceof ParsingFlag.CommandCancel) {
+                const endParse = this.metrics.startTimer(command, 'parse');
+                try {
+                    return await command.parse(message, content);
+                } finally {
+                    endParse();
+                }
+            })());
+
+            if (invocation.signal.aborted) {
+                this.emitAborted(invocation);
+                return false;
+            } else if (args instanceof ParsingFlag.CommandCancel) {
+                this.metrics.increment(command, 'cancellations');
                 this.emit(CommandHandlerEvents.COMMAND_CANCELLED, message, command);
                 return false;
             } else if (args instanceof ParsingFlag.CommandRetry) {
                 this.emit(CommandHandlerEvents.COMMAND_BREAKOUT, message, command, args.message);
                 return this.handle(args.message);
+            } else if (args instanceof ParsingFlag.CommandFail) {
+                this.emit(CommandHandlerEvents.ARGUMENT_FAILED, message, command, args.argument, args.phrase);
+                await this.replyWithUsage(message, command);
+                return false;
             }
 
             if (!ignore) {
@@ -428,12 +640,13 @@ class CommandHandler extends AkairoHandler {
                 }
             }
 
-            return await this.runCommand(message, command, args);
+            return await this.runCommand(message, command, args, invocation);
         } catch (err) {
             this.emitError(err, message, command);
             return null;
         } finally {
             if (key) command.locker.delete(key);
+            if (invocation) this.endInvocation(invocation);
         }
     }
 
@@ -456,7 +669,7 @@ class CommandHandler extends AkairoHandler {
     async handleRegexCommands(message) {
         const hasRegexCommands = [];
         for (const command of this.modules.values()) {
-            if (message.edited ? command.editable : true) {
+            if ((message.edited ? command.editable : true) && command.isEnabledIn(message.guild)) {
                 const regex = typeof command.regex === 'function' ? command.regex(message) : command.regex;
                 if (regex) hasRegexCommands.push({ command, regex });
             }
@@ -487,13 +700,18 @@ class CommandHandler extends AkairoHandler {
         const promises = [];
         for (const { command, match, matches } of matchedCommands) {
             promises.push((async () => {
+                let invocation;
                 try {
+                    this.metrics.increment(command, 'invocations');
                     if (await this.runPostTypeInhibitors(message, command)) return;
+                    invocation = this.startInvocation(message, command);
                     const before = command.before(message);
-                    if (isPromise(before)) await before;
-                    await this.runCommand(message, command, { match, matches });
+                    if (isPromise(before)) await this.untilAborted(invocation, before);
+                    await this.runCommand(message, command, { match, matches }, invocation);
                 } catch (err) {
                     this.emitError(err, message, command);
+                } finally {
+                    if (invocation) this.endInvocation(invocation);
                 }
             })());
         }
@@ -510,6 +728,7 @@ class CommandHandler extends AkairoHandler {
     async handleConditionalCommands(message) {
         const trueCommands = this.modules.filter(command =>
             (message.edited ? command.editable : true)
+            && command.isEnabledIn(message.guild)
             && command.condition(message)
         );
 
@@ -520,13 +739,18 @@ class CommandHandler extends AkairoHandler {
         const promises = [];
         for (const command of trueCommands.values()) {
             promises.push((async () => {
+                let invocation;
                 try {
+                    this.metrics.increment(command, 'invocations');
                     if (await this.runPostTypeInhibitors(message, command)) return;
+                    invocation = this.startInvocation(message, command);
                     const before = command.before(message);
-                    if (isPromise(before)) await before;
-                    await this.runCommand(message, command, {});
+                    if (isPromise(before)) await this.untilAborted(invocation, before);
+                    await this.runCommand(message, command, {}, invocation);
                 } catch (err) {
                     this.emitError(err, message, command);
+                } finally {
+                    if (invocation) this.endInvocation(invocation);
                 }
             })());
         }
@@ -579,6 +803,91 @@ class CommandHandler extends AkairoHandler {
         return true;
     }
 
+    /**
+     * Suggests commands for an unknown alias, emitting and replying with them if there are any.
+     * @param {Message} message - Message that used the alias.
+     * @param {Object} parsed - Parsed command data, with the prefix and the alias.
+     * @returns {Promise<CommandSuggestion[]>}
+     */
+    async runSuggestions(message, parsed) {
+        const suggestions = await this.findSuggestions(message, parsed.alias);
+        if (!suggestions.length) return suggestions;
+
+        this.emit(CommandHandlerEvents.COMMAND_SUGGESTION, message, parsed.alias, suggestions);
+        if (this.sendSuggestions) {
+            const list = suggestions.map(suggestion => `\`${parsed.prefix}${suggestion.alias}\``).join(', ');
+            const content = `Did you mean ${list}?`;
+            await (message.util ? message.util.reply(content) : message.channel.send(content));
+        }
+
+        return suggestions;
+    }
+
+    /**
+     * Finds commands with aliases similar to an unknown alias, closest first.
+     * Only the closest alias of each command is used, and commands the author of the message cannot run are left out.
+     * @param {Message} message - Message that used the alias.
+     * @param {string} alias - The unknown alias.
+     * @returns {Promise<CommandSuggestion[]>}
+     */
+    async findSuggestions(message, alias) {
+        alias = alias.toLowerCase();
+
+        const closest = new Collection();
+        for (const [name, id] of this.aliases) {
+            const edits = distance(alias, name);
+            if (edits === 0 || edits > this.suggestionDistance) continue;
+            if (edits / Math.max(alias.length, name.length) > this.suggestionRatio) continue;
+
+            const current = closest.get(id);
+            if (!current || edits < current.distance) {
+                closest.set(id, { command: this.modules.get(id), alias: name, distance: edits });
+            }
+        }
+
+        const sorted = Array.from(closest.values())
+            .sort((a, b) => a.distance - b.distance || a.alias.localeCompare(b.alias));
+
+        const suggestions = [];
+        for (const suggestion of sorted) {
+            if (suggestions.length >= this.suggestionLimit) break;
+
+            // eslint-disable-next-line no-await-in-loop
+            if (await this.canRun(message, suggestion.command)) suggestions.push(suggestion);
+        }
+
+        return suggestions;
+    }
+
+    /**
+     * Replies with the usage of a command.
+     * @param {Message} message - Message to reply to.
+     * @param {Command} command - Command to use.
+     * @returns {Promise<Message>}
+     */
+    replyWithUsage(message, command) {
+        const content = `Usage: \`${this.getDisplayPrefix(message)}${command.usage}\``;
+        return message.util ? message.util.reply(content) : message.channel.send(content);
+    }
+
+    /**
+     * Gets the prefix to show to the author of a message, such as in usages.
+     * This is the prefix the message used, else the first prefix of its channel or guild, else the first default prefix.
+     * @param {Message} message - Message to use.
+     * @returns {string}
+     */
+    getDisplayPrefix(message) {
+        if (message.util && message.util.parsed && message.util.parsed.prefix) return message.util.parsed.prefix;
+
+        const prefixes = this.prefixManager
+            && (this.prefixManager.get(message.channel, 'channel')
+            || (message.guild && this.prefixManager.get(message.guild, 'guild')));
+        if (prefixes) return prefixes[0];
+
+        if (typeof this.prefix === 'function') return '';
+        return Array.isArray(this.prefix) ? this.prefix[0] : this.prefix;
+    }
+
     /**
      * Runs inhibitors with the post type.
      * @param {Message} message - Message to handle.
@@ -589,17 +898,20 @@ class CommandHandler extends AkairoHandler {
         if (command.ownerOnly) {
             const isOwner = this.client.isOwner(message.author);
             if (!isOwner) {
+                this.metrics.block(command, BuiltInReasons.OWNER);
                 this.emit(CommandHandlerEvents.COMMAND_BLOCKED, message, command, BuiltInReasons.OWNER);
                 return true;
             }
         }
 
         if (command.channel === 'guild' && !message.guild) {
+            this.metrics.block(command, BuiltInReasons.GUILD);
             this.emit(CommandHandlerEvents.COMMAND_BLOCKED, message, command, BuiltInReasons.GUILD);
             return true;
         }
 
         if (command.channel === 'dm' && message.guild) {
+            this.metrics.block(command, BuiltInReasons.DM);
             this.emit(CommandHandlerEvents.COMMAND_BLOCKED, message, command, BuiltInReasons.DM);
             return true;
         }
@@ -613,11 +925,12 @@ class CommandHandler extends AkairoHandler {
             : null;
 
         if (reason != null) {
+            this.metrics.block(command, reason);
             this.emit(CommandHandlerEvents.COMMAND_BLOCKED, message, command, reason);
             return true;
         }
 
-        if (this.runCooldowns(message, command)) {
+        if (await this.runCooldowns(message, command)) {
             return true;
         }
 
@@ -631,21 +944,31 @@ class CommandHandler extends AkairoHandler {
      * @returns {Promise<boolean>}
      */
     async runPermissionChecks(message, command) {
+        const res = await this.findMissingPermissions(message, command);
+        if (res) {
+            this.metrics.increment(command, 'permissionDenials');
+            this.emit(CommandHandlerEvents.MISSING_PERMISSIONS, message, command, res.type, res.missing);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Finds the permissions missing to run a command, checking the client first.
+     * @param {Message} message - Message that called the command.
+     * @param {Command} command - Command to check.
+     * @returns {Promise<?MissingPermissions>}
+     */
+    async findMissingPermissions(message, command) {
         if (command.clientPermissions) {
             if (typeof command.clientPermissions === 'function') {
                 let missing = command.clientPermissions(message);
                 if (isPromise(missing)) missing = await missing;
-
-                if (missing != null) {
-                    this.emit(CommandHandlerEvents.MISSING_PERMISSIONS, message, command, 'client', missing);
-                    return true;
-                }
+                if (missing != null) return { type: 'client', missing };
             } else if (message.guild) {
                 const missing = message.channel.permissionsFor(this.client.user).missing(command.clientPermissions);
-                if (missing.length) {
-                    this.emit(CommandHandlerEvents.MISSING_PERMISSIONS, message, command, 'client', missing);
-                    return true;
-                }
+                if (missing.length) return { type: 'client', missing };
             }
         }
 
@@ -661,31 +984,46 @@ class CommandHandler extends AkairoHandler {
                 if (typeof command.userPermissions === 'function') {
                     let missing = command.userPermissions(message);
                     if (isPromise(missing)) missing = await missing;
-
-                    if (missing != null) {
-                        this.emit(CommandHandlerEvents.MISSING_PERMISSIONS, message, command, 'user', missing);
-                        return true;
-                    }
+                    if (missing != null) return { type: 'user', missing };
                 } else if (message.guild) {
                     const missing = message.channel.permissionsFor(message.author).missing(command.userPermissions);
-                    if (missing.length) {
-                        this.emit(CommandHandlerEvents.MISSING_PERMISSIONS, message, command, 'user', missing);
-                        return true;
-                    }
+                    if (missing.length) return { type: 'user', missing };
                 }
             }
         }
 
-        return false;
+        return null;
+    }
+
+    /**
+     * Checks if the author of a message can run a command, without running it or emitting anything.
+     * This checks that the command is enabled, its `ownerOnly` and `channel` options, permissions, and post type inhibitors that are pure.
+     * Cooldowns and inhibitors that are not pure are not checked, since they can have side effects.
+     * @param {Message} message - Message to check with.
+     * @param {Command} command - Command to check.
+     * @returns {Promise<boolean>}
+     */
+    async canRun(message, command) {
+        if (!command.isEnabledIn(message.guild)) return false;
+        if (command.ownerOnly && !this.client.isOwner(message.author)) return false;
+        if (command.channel === 'guild' && !message.guild) return false;
+        if (command.channel === 'dm' && message.guild) return false;
+        if (await this.findMissingPermissions(message, command)) return false;
+
+        const reason = this.inhibitorHandler
+            ? await this.inhibitorHandler.test('post', message, command, true)
+            : null;
+
+        return reason == null;
     }
 
     /**
      * Runs cooldowns and checks if a user is under cooldown.
      * @param {Message} message - Message that called the command.
      * @param {Command} command - Command to cooldown.
-     * @returns {boolean}
+     * @returns {Promise<boolean>}
      */
-    runCooldowns(message, command) {
+    async runCooldowns(message, command) {
         const ignorer = command.ignoreCooldown || this.ignoreCooldown;
         const isIgnored = Array.isArray(ignorer)
             ? ignorer.includes(message.author.id)
@@ -695,66 +1033,430 @@ class CommandHandler extends AkairoHandler {
 
         if (isIgnored) return false;
 
-        const time = command.cooldown != null ? command.cooldown : this.defaultCooldown;
-        if (!time) return false;
+        const settings = this.getCooldownSettings(command);
+        if (!settings.cooldown) return false;
 
-        const endTime = message.createdTimestamp + time;
+        const id = this.getCooldownID(message, command);
+        const now = message.createdTimestamp;
+        let remaining = null;
 
-        const id = message.author.id;
-        if (!this.cooldowns.has(id)) this.cooldowns.set(id, {});
+        await this.cooldownStore.update(id, entry => {
+            if (settings.window === CooldownWindows.SLIDING) {
+                const timestamps = (entry ? entry.timestamps || [] : []).filter(t => t > now - settings.cooldown);
+                if (timestamps.length >= settings.ratelimit) {
+                    remaining = timestamps[0] + settings.cooldown - now;
+                    return null;
+                }
 
-        if (!this.cooldowns.get(id)[command.id]) {
-            this.cooldowns.get(id)[command.id] = {
-                timer: this.client.setTimeout(() => {
-                    this.client.clearTimeout(this.cooldowns.get(id)[command.id].timer);
-                    this.cooldowns.get(id)[command.id] = null;
+                timestamps.push(now);
+                return { end: now + settings.cooldown, uses: timestamps.length, timestamps };
+            }
 
-                    if (!Object.keys(this.cooldowns.get(id)).length) {
-                        this.cooldowns.delete(id);
-                    }
-                }, time),
-                end: endTime,
-                uses: 0
-            };
-        }
+            const fixed = entry || { end: now + settings.cooldown, uses: 0 };
+            if (fixed.uses >= settings.ratelimit) {
+                remaining = fixed.end - now;
+                return null;
+            }
 
-        const entry = this.cooldowns.get(id)[command.id];
+            return { end: fixed.end, uses: fixed.uses + 1 };
+        });
 
-        if (entry.uses >= command.ratelimit) {
-            const end = this.cooldowns.get(message.author.id)[command.id].end;
-            const diff = end - message.createdTimestamp;
+        if (remaining == null) return false;
 
-            this.emit(CommandHandlerEvents.COOLDOWN, message, command, diff);
-            return true;
+        this.metrics.increment(command, 'cooldowns');
+        this.emit(CommandHandlerEvents.COOLDOWN, message, command, remaining, { scope: settings.scope, bucket: settings.bucket });
+        return true;
+    }
+
+    /**
+     * Gets the cooldown settings of a command.
+     * Commands in a bucket that the handler has options for use those options.
+     * @param {Command} command - Command to use.
+     * @returns {CooldownSettings}
+     */
+    getCooldownSettings(command) {
+        const bucket = command.cooldownBucket != null && this.cooldownBuckets.get(command.cooldownBucket);
+        const { cooldown, ratelimit = 1, scope, window } = bucket || {
+            cooldown: command.cooldown != null ? command.cooldown : this.defaultCooldown,
+            ratelimit: command.ratelimit,
+            scope: command.cooldownScope,
+            window: command.cooldownWindow
+        };
+
+        return {
+            bucket: command.cooldownBucket != null ? command.cooldownBucket : command.qualifiedID,
+            scope: scope || this.defaultCooldownScope,
+            window: window || this.defaultCooldownWindow,
+            cooldown,
+            ratelimit
+        };
+    }
+
+    /**
+     * Gets the ID of what a cooldown scope applies to for a message, such as the user or the guild.
+     * @param {Message} message - Message to use.
+     * @param {CooldownScope} scope - Scope to use.
+     * @returns {string}
+     */
+    getCooldownScopeID(message, scope) {
+        const userID = message.author.id;
+        if (scope === CooldownScopes.GLOBAL) return 'global';
+        if (scope === CooldownScopes.CHANNEL) return message.channel.id;
+        if (scope === CooldownScopes.GUILD) return message.guild ? message.guild.id : message.channel.id;
+        if (scope === CooldownScopes.MEMBER) return message.guild ? `${message.guild.id}:${userID}` : userID;
+        if (scope === CooldownScopes.ROLE) {
+            const role = message.member && message.member.roles.highest;
+            return role ? role.id : userID;
         }
 
-        entry.uses++;
-        return false;
+        return userID;
+    }
+
+    /**
+     * Gets the ID of a cooldown entry for a command, made from its bucket, scope, and what the scope applies to.
+     * @param {Message|User|Snowflake} target - Message to find what the scope applies to from.
+     * Anything else is used as what the scope applies to, such as a user for the `user` scope or a guild for the `guild` scope.
+     * @param {Command} command - Command to use.
+     * @returns {string}
+     */
+    getCooldownID(target, command) {
+        const { bucket, scope } = this.getCooldownSettings(command);
+        const scopeID = target.author ? this.getCooldownScopeID(target, scope) : target.id || target;
+        return `${bucket}:${scope}:${scopeID}`;
+    }
+
+    /**
+     * Gets a cooldown entry for a command.
+     * @param {Message|User|Snowflake} target - Message, or what the scope of the cooldown applies to.
+     * @param {Command} command - Command to use.
+     * @returns {Promise<?CooldownEntry>}
+     */
+    async getCooldown(target, command) {
+        return await this.cooldownStore.get(this.getCooldownID(target, command)) || null;
+    }
+
+    /**
+     * Removes a cooldown entry for a command.
+     * @param {Message|User|Snowflake} target - Message, or what the scope of the cooldown applies to.
+     * @param {Command} command - Command to use.
+     * @returns {Promise<boolean>}
+     */
+    async resetCooldown(target, command) {
+        const id = this.getCooldownID(target, command);
+        if (!await this.cooldownStore.get(id)) return false;
+
+        await this.cooldownStore.delete(id);
+        return true;
+    }
+
+    /**
+     * Extends a cooldown entry for a command.
+     * If there is no entry, one is made with all uses taken.
+     * @param {Message|User|Snowflake} target - Message, or what the scope of the cooldown applies to.
+     * @param {Command} command - Command to use.
+     * @param {number} time - Milliseconds to extend by.
+     * @returns {Promise<CooldownEntry>}
+     */
+    extendCooldown(target, command, time) {
+        return this.cooldownStore.update(this.getCooldownID(target, command), entry => {
+            if (entry) {
+                const extended = { end: entry.end + time, uses: entry.uses };
+                if (entry.timestamps) extended.timestamps = entry.timestamps.map(t => t + time);
+                return extended;
+            }
+
+            const settings = this.getCooldownSettings(command);
+            const now = Date.now();
+            const extended = { end: now + time, uses: settings.ratelimit };
+            if (settings.window === CooldownWindows.SLIDING) {
+                extended.timestamps = Array(settings.ratelimit).fill(now + time - settings.cooldown);
+            }
+
+            return extended;
+        });
+    }
+
+    /**
+     * Removes expired cooldown entries and returns the amount removed.
+     * @returns {Promise<number>}
+     */
+    sweepCooldowns() {
+        return Promise.resolve(this.cooldownStore.sweep(Date.now()));
+    }
+
+    /**
+     * Cooldown entries of the store in memory, mapped by cooldown ID.
+     * This is null if another store is used.
+     * @deprecated Use `cooldownStore`, `getCooldown`, `resetCooldown`, or `extendCooldown` instead.
+     * Entries are no longer grouped by user, since cooldowns can have other scopes.
+     * @type {?Collection<string, CooldownEntry>}
+     * @readonly
+     */
+    get cooldowns() {
+        return this.cooldownStore instanceof CooldownStore.MemoryCooldownStore ? this.cooldownStore.entries : null;
     }
 
     /**
      * Runs a command.
+     * If it times out or is cancelled, the handler stops waiting for it, so that its lock is released and typing stops.
      * @param {Message} message - Message to handle.
      * @param {Command} command - Command to handle.
      * @param {Object} args - Arguments to use.
+     * @param {CommandInvocation} [invocation] - Invocation started for the command.
+     * One is started and ended here if not given.
      * @returns {Promise<void>}
      */
-    async runCommand(message, command, args) {
+    async runCommand(message, command, args, invocation = this.startInvocation(message, command)) {
+        const { signal } = invocation;
+        if (signal.aborted) {
+            this.endInvocation(invocation);
+            this.emitAborted(invocation);
+            return;
+        }
+
         if (command.typing) {
             message.channel.startTyping();
         }
 
+        let onAbort;
         try {
-            this.emit(CommandHandlerEvents.COMMAND_STARTED, message, command, args);
-            const ret = await command.exec(message, args);
-            this.emit(CommandHandlerEvents.COMMAND_FINISHED, message, command, args, ret);
+            const context = { handler: this, message, command, args, signal, result: undefined };
+            const run = this.runMiddleware(context, this.middleware.concat(command.middleware), async () => {
+                this.emit(CommandHandlerEvents.COMMAND_STARTED, message, command, context.args);
+                const endExec = this.metrics.startTimer(command, 'exec');
+                try {
+                    context.result = await command.exec(message, context.args, signal);
+                } finally {
+                    endExec();
+                }
+
+                // A command that finishes after it was aborted has already been reported as such.
+                if (invocation.settled) return;
+                invocation.settled = true;
+
+                this.metrics.increment(command, 'finishes');
+                this.emit(CommandHandlerEvents.COMMAND_FINISHED, message, command, context.args, context.result);
+            });
+
+            const aborted = new Promise(resolve => {
+                onAbort = () => {
+                    if (invocation.settled) return;
+                    invocation.settled = true;
+                    resolve(true);
+                };
+
+                signal.addEventListener('abort', onAbort);
+            });
+
+            if (await Promise.race([run.then(() => false), aborted])) {
+                // The command may still settle later, but nothing waits for it anymore.
+                run.catch(() => null);
+                this.emitAborted(invocation);
+            }
         } finally {
+            if (onAbort) signal.removeEventListener('abort', onAbort);
+            this.endInvocation(invocation);
             if (command.typing) {
                 message.channel.stopTyping();
             }
         }
     }
 
+    /**
+     * Waits for a promise, unless the signal of an invocation aborts first.
+     * Resolves with undefined if it aborts first, and the promise is then no longer waited for.
+     * @param {CommandInvocation} invocation - The invocation.
+     * @param {Promise<any>} promise - Promise to wait for.
+     * @returns {Promise<any>}
+     */
+    async untilAborted(invocation, promise) {
+        const { signal } = invocation;
+        promise.catch(() => null);
+        if (signal.aborted) return undefined;
+
+        let onAbort;
+        const aborted = new Promise(resolve => {
+            onAbort = () => resolve(undefined);
+            signal.addEventListener('abort', onAbort);
+        });
+
+        try {
+            return await Promise.race([promise, aborted]);
+        } finally {
+            signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Emits that a command was aborted, as a timeout if it timed out and as a cancellation otherwise.
+     * @param {CommandInvocation} invocation - The invocation.
+     * @returns {void}
+     */
+    emitAborted(invocation) {
+        const { message, command } = invocation;
+        if (invocation.timedOut) {
+            this.metrics.increment(command, 'timeouts');
+            this.emit(CommandHandlerEvents.COMMAND_TIMEOUT, message, command, invocation.timeout);
+        } else {
+            this.metrics.increment(command, 'cancellations');
+            this.emit(CommandHandlerEvents.COMMAND_CANCELLED, message, command);
+        }
+    }
+
+    /**
+     * Gets the time in milliseconds a command can run for before it is aborted.
+     * @param {Command} command - Command to use.
+     * @returns {number}
+     */
+    getTimeout(command) {
+        return command.timeout != null ? command.timeout : this.defaultTimeout;
+    }
+
+    /**
+     * Starts tracking a command being ran for a message, so that it can be cancelled, and starts its timeout.
+     * @param {Message} message - Message that triggered the command.
+     * @param {Command} command - The command.
+     * @returns {CommandInvocation}
+     */
+    startInvocation(message, command) {
+        const controller = CommandSignal.createController();
+        const invocation = {
+            message,
+            command,
+            controller,
+            signal: controller.signal,
+            startedAt: Date.now(),
+            timeout: this.getTimeout(command),
+            timer: null,
+            timedOut: false,
+            settled: false
+        };
+
+        if (invocation.timeout > 0) {
+            invocation.timer = this.client.setTimeout(() => {
+                invocation.timedOut = true;
+                controller.abort(new AkairoError('COMMAND_TIMED_OUT', command.id, invocation.timeout));
+            }, invocation.timeout);
+        }
+
+        if (!this.invocations.has(message.id)) this.invocations.set(message.id, []);
+        this.invocations.get(message.id).push(invocation);
+        return invocation;
+    }
+
+    /**
+     * Stops tracking a command being ran and clears its timeout.
+     * @param {CommandInvocation} invocation - The invocation.
+     * @returns {boolean}
+     */
+    endInvocation(invocation) {
+        if (invocation.timer) {
+            this.client.clearTimeout(invocation.timer);
+            invocation.timer = null;
+        }
+
+        const invocations = this.invocations.get(invocation.message.id);
+        const index = invocations ? invocations.indexOf(invocation) : -1;
+        if (index === -1) return false;
+
+        invocations.splice(index, 1);
+        if (!invocations.length) this.invocations.delete(invocation.message.id);
+        return true;
+    }
+
+    /**
+     * Gets the commands being ran for a message.
+     * @param {Message|Snowflake} message - Message or its ID.
+     * @returns {CommandInvocation[]}
+     */
+    getInvocations(message) {
+        const invocations = this.invocations.get(message.id || message);
+        return invocations ? invocations.slice() : [];
+    }
+
+    /**
+     * Gets the abort signal of a command being ran for a message.
+     * This is the signal given to argument types while the arguments of the command are parsed.
+     * @param {Message|Snowflake} message - Message or its ID.
+     * @param {Command} [command] - Command to get the signal of.
+     * Defaults to the last command started for the message.
+     * @returns {?AbortSignal|CommandSignal}
+     */
+    getSignal(message, command) {
+        const invocations = this.getInvocations(message).filter(invocation => !command || invocation.command === command);
+        return invocations.length ? invocations[invocations.length - 1].signal : null;
+    }
+
+    /**
+     * Cancels the commands being ran for a message.
+     * Their signals are aborted, their locks are released, and `commandCancelled` is emitted for them.
+     * @param {Message|Snowflake} message - Message or its ID.
+     * @param {Command} [command] - Command to cancel.
+     * Defaults to every command being ran for the message.
+     * @returns {number} Amount of commands cancelled.
+     */
+    cancelCommand(message, command) {
+        let count = 0;
+        for (const invocation of this.getInvocations(message)) {
+            if ((command && invocation.command !== command) || invocation.signal.aborted) continue;
+
+            invocation.controller.abort(new AkairoError('COMMAND_CANCELLED', invocation.command.id));
+            count++;
+        }
+
+        return count;
+    }
+
+    /**
+     * Runs middleware in order, each wrapping the ones after it, then runs a function inside all of them.
+     * @param {MiddlewareContext} context - Context given to the middleware.
+     * @param {CommandMiddleware[]} middleware - Middleware to run.
+     * @param {Function} fn - Function to run inside the middleware.
+     * @returns {Promise<void>}
+     */
+    runMiddleware(context, middleware, fn) {
+        let current = -1;
+        const dispatch = index => {
+            if (index <= current) return Promise.reject(new AkairoError('MIDDLEWARE_NEXT_CALLED'));
+            current = index;
+
+            try {
+                const ret = index === middleware.length ? fn() : middleware[index](context, () => dispatch(index + 1));
+                return Promise.resolve(ret);
+            } catch (err) {
+                return Promise.reject(err);
+            }
+        };
+
+        return dispatch(0).then(() => undefined);
+    }
+
+    /**
+     * Adds middleware that wraps the execution of commands.
+     * Middleware is ran for commands ran by their aliases, by regex, and by conditions, after inhibitors, cooldowns, and argument parsing.
+     * It gets a context with the message, command, and arguments, and a `next` function that runs the rest of the middleware and the command.
+     * @param {CommandMiddleware} fn - The middleware.
+     * @returns {CommandHandler}
+     */
+    use(fn) {
+        if (typeof fn !== 'function') throw new AkairoError('INVALID_TYPE', 'fn', 'function');
+        this.middleware.push(fn);
+        return this;
+    }
+
+    /**
+     * Removes middleware added with `use`.
+     * @param {CommandMiddleware} fn - The middleware.
+     * @returns {boolean}
+     */
+    unuse(fn) {
+        const index = this.middleware.indexOf(fn);
+        if (index === -1) return false;
+
+        this.middleware.splice(index, 1);
+        return true;
+    }
+
     /**
      * Parses the command and its argument list.
      * @param {Message} message - Message that called the command.
@@ -762,7 +1464,9 @@ class CommandHandler extends AkairoHandler {
      */
     async parseCommand(message) {
         let prefix;
-        if (typeof this.prefix === 'function') {
+        if (this.prefixManager) {
+            prefix = await this.prefixManager.resolve(message);
+        } else if (typeof this.prefix === 'function') {
             prefix = this.prefix(message);
             if (isPromise(prefix)) {
                 prefix = await prefix;
@@ -892,6 +1596,7 @@ class CommandHandler extends AkairoHandler {
      * @returns {void}
      */
     emitError(err, message, command) {
+        if (command) this.metrics.increment(command, 'errors');
         if (command && command.typing) message.channel.stopTyping();
         if (this.listenerCount(CommandHandlerEvents.ERROR)) {
             this.emit(CommandHandlerEvents.ERROR, err, message, command);
@@ -968,6 +1673,31 @@ class CommandHandler extends AkairoHandler {
         return this.modules.get(this.aliases.get(name.toLowerCase()));
     }
 
+    /**
+     * Exports a description of every command, grouped by category in category order.
+     * Categories without commands are left out.
+     * @param {CatalogueOptions} [options={}] - Options for the catalogue.
+     * @returns {Object|string}
+     */
+    exportCatalogue({ format = 'json', hidden = false } = {}) {
+        const categories = [];
+        for (const category of this.categories.values()) {
+            if (!category.size || (category.hidden && !hidden)) continue;
+
+            const data = category.toJSON();
+            delete data.modules;
+            data.commands = category.map(command => command.toJSON());
+            categories.push(data);
+        }
+
+        const catalogue = {
+            prefix: serialize(this.prefix),
+            categories
+        };
+
+        return format === 'markdown' ? this.constructor.renderCatalogue(catalogue) : catalogue;
+    }
+
     /**
      * Set the inhibitor handler to use.
      * @param {InhibitorHandler} inhibitorHandler - The inhibitor handler.
@@ -991,6 +1721,64 @@ class CommandHandler extends AkairoHandler {
         return this;
     }
 
+    /**
+     * Renders a catalogue from `exportCatalogue` as Markdown.
+     * @param {Object} catalogue - Catalogue to render.
+     * @returns {string}
+     */
+    static renderCatalogue(catalogue) {
+        const code = value => `\`${value}\``;
+        const list = values => [].concat(values).map(code).join(', ');
+        const lines = ['# Commands'];
+
+        const renderCommand = (command, name, depth) => {
+            lines.push('', `${'#'.repeat(Math.min(depth + 3, 6))} ${name}`);
+            if (command.description) lines.push('', command.description);
+
+            const details = [];
+            if (command.aliases.length) details.push(`- **Aliases:** ${list(command.aliases)}`);
+            if (command.channel) details.push(`- **Channel:** ${command.channel === 'guild' ? 'Servers only' : 'Direct messages only'}`);
+            if (command.ownerOnly) details.push('- **Owner only**');
+            if (command.userPermissions) details.push(`- **User permissions:** ${list(command.userPermissions)}`);
+            if (command.clientPermissions) details.push(`- **Client permissions:** ${list(command.clientPermissions)}`);
+            if (command.cooldown) {
+                details.push(`- **Cooldown:** ${command.cooldown}ms, ${command.ratelimit} use${command.ratelimit === 1 ? '' : 's'}`);
+            }
+
+            if (command.args && command.args.length) {
+                details.push('- **Arguments:**');
+                for (const arg of command.args) {
+                    const type = arg.type == null
+                        ? 'custom'
+                        : Array.isArray(arg.type) ? `one of ${list(arg.type)}` : code(arg.type);
+
+                    const parts = [type, `${arg.match} match`];
+                    if (arg.flag != null) parts.push(`flag ${list(arg.flag)}`);
+                    if (arg.default != null) parts.push(`default ${code(JSON.stringify(arg.default))}`);
+                    if (arg.prompt && !arg.prompt.optional) parts.push('prompted');
+
+                    const description = arg.description ? ` - ${arg.description}` : '';
+                    details.push(`    - ${code(arg.id)} (${parts.join('; ')})${description}`);
+                }
+            }
+
+            if (details.length) lines.push('', ...details);
+
+            for (const subcommand of command.subcommands || []) {
+                renderCommand(subcommand, `${name} ${subcommand.aliases.length ? subcommand.aliases[0] : subcommand.id}`, depth + 1);
+            }
+        };
+
+        for (const category of catalogue.categories) {
+            lines.push('', `## ${category.name}`);
+            if (category.description) lines.push('', category.description);
+
+            for (const command of category.commands) renderCommand(command, command.id, 0);
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+
     /**
      * Loads a command.
      * @method
@@ -1003,7 +1791,7 @@ class CommandHandler extends AkairoHandler {
      * Reads all commands from the directory and loads them.
      * @method
      * @name CommandHandler#loadAll
-     * @param {string} [directory] - Directory to load from.
+     * @param {string|string[]} [directory] - Directory or directories to load from.
      * Defaults to the directory passed in the constructor.
      * @param {LoadPredicate} [filter] - Filter for files, where true means it should be loaded.
      * @returns {CommandHandler}
@@ -1036,7 +1824,9 @@ class CommandHandler extends AkairoHandler {
      * Reloads all commands.
      * @method
      * @name CommandHandler#reloadAll
-     * @returns {CommandHandler}
+     * @param {Iterable<Command>} [commands] - Commands to reload.
+     * Defaults to all commands in this handler.
+     * @returns {ReloadResults}
      */
 }
 
@@ -1057,12 +1847,29 @@ module.exports = CommandHandler;
  */
 
 /**
- * Emitted when a command is found disabled.
+ * Emitted when commands are suggested for an unknown alias, before `messageInvalid`.
+ * @event CommandHandler#commandSuggestion
+ * @param {Message} message - Message sent.
+ * @param {string} alias - The unknown alias.
+ * @param {CommandSuggestion[]} suggestions - Commands suggested, closest first.
+ */
+
+/**
+ * Emitted when a command is found disabled, globally or in the guild.
  * @event CommandHandler#commandDisabled
  * @param {Message} message - Message sent.
  * @param {Command} command - Command found.
  */
 
+/**
+ * Emitted when a command that only groups subcommands is used without naming one of them.
+ * The handler replies with the usage of the command afterwards.
+ * @event CommandHandler#missingSubcommand
+ * @param {Message} message - Message sent.
+ * @param {Command} command - Command used.
+ * @param {string} content - Content after the name of the command.
+ */
+
 /**
  * Emitted when a command is blocked by a post-message inhibitor.
  * The built-in inhibitors are 'owner', 'guild', and 'dm'.
@@ -1090,7 +1897,16 @@ module.exports = CommandHandler;
  */
 
 /**
- * Emitted when a command is cancelled via prompt or argument cancel.
+ * Emitted when a command times out.
+ * Its signal is aborted, and the handler stops waiting for it.
+ * @event CommandHandler#commandTimeout
+ * @param {Message} message - Message sent.
+ * @param {Command} command - Command executed.
+ * @param {number} timeout - The timeout in milliseconds.
+ */
+
+/**
+ * Emitted when a command is cancelled via prompt, argument cancel, or `CommandHandler#cancelCommand`.
  * @event CommandHandler#commandCancelled
  * @param {Message} message - Message sent.
  * @param {Command} command - Command executed.
@@ -1098,12 +1914,24 @@ module.exports = CommandHandler;
  * This is passed when a prompt was broken out of with a message that looks like a command.
  */
 
+/**
+ * Emitted when an argument without a prompt or a default fails to parse or is not given, if the `sendUsage` option is on.
+ * @event CommandHandler#argumentFailed
+ * @param {Message} message - Message sent.
+ * @param {Command} command - Command of the argument.
+ * @param {Argument} argument - Argument that failed.
+ * @param {string} phrase - Phrase that failed to parse.
+ */
+
 /**
  * Emitted when a command is found on cooldown.
  * @event CommandHandler#cooldown
  * @param {Message} message - Message sent.
  * @param {Command} command - Command blocked.
  * @param {number} remaining - Remaining time in milliseconds for cooldown.
+ * @param {Object} data - What triggered the cooldown.
+ * @param {CooldownScope} data.scope - Scope of the cooldown.
+ * @param {string} data.bucket - Bucket of the cooldown, which is the qualified ID of the command if it has none.
  */
 
 /**
@@ -1143,12 +1971,44 @@ module.exports = CommandHandler;
  * @param {Command} command - Command removed.
  */
 
+/**
+ * Emitted when a command is reloaded.
+ * @event CommandHandler#reload
+ * @param {Command} command - Command reloaded.
+ */
+
+/**
+ * Emitted when a command fails to reload.
+ * The old command is kept when this happens.
+ * @event CommandHandler#reloadError
+ * @param {Error} error - The error.
+ * @param {Command} command - Command that failed to reload.
+ */
+
+/**
+ * Emitted when a watched file fails to load, reload, or be removed.
+ * Also emitted for each file that fails to load in `loadAll`, unless the `loadErrors` option is 'throw'.
+ * @event CommandHandler#loadError
+ * @param {Error} error - The error.
+ * @param {string} filepath - Filepath of the file.
+ */
+
+/**
+ * Options for exporting the command catalogue.
+ * @typedef {Object} CatalogueOptions
+ * @prop {string} [format='json'] - Either 'json' for an object that can be serialized, or 'markdown' for a Markdown document.
+ * @prop {boolean} [hidden=false] - Whether or not to include hidden categories.
+ */
+
 /**
  * Also includes properties from AkairoHandlerOptions.
  * @typedef {AkairoHandlerOptions} CommandHandlerOptions
  * @prop {boolean} [blockClient=true] - Whether or not to block self.
  * @prop {boolean} [blockBots=true] - Whether or not to block bots.
  * @prop {string|string[]|PrefixSupplier} [prefix='!'] - Default command prefix(es).
+ * @prop {Provider} [prefixProvider] - Provider for prefixes per guild and per channel, which override the default ones.
+ * A prefix manager is made with it, see `CommandHandler#prefixManager`.
+ * @prop {string} [prefixKey='prefix'] - Key of the provider entries for prefixes.
  * @prop {boolean|MentionPrefixPredicate} [allowMention=true] - Whether or not to allow mentions to the client user as a prefix.
  * @prop {RegExp} [aliasReplacement] - Regular expression to automatically make command aliases.
  * For example, using `/-/g` would mean that aliases containing `-` would be valid with and without it.
@@ -1162,10 +2022,32 @@ module.exports = CommandHandler;
  * If 0, CommandUtil instances will never be removed and will cause memory to increase indefinitely.
  * @prop {boolean} [fetchMembers=false] - Whether or not to fetch member on each message from a guild.
  * @prop {number} [defaultCooldown=0] - The default cooldown for commands.
+ * @prop {CooldownScope} [defaultCooldownScope='user'] - The default scope of cooldowns.
+ * @prop {CooldownWindow} [defaultCooldownWindow='fixed'] - The default window of cooldowns.
+ * @prop {Object<string, CooldownBucketOptions>} [cooldownBuckets={}] - Options of cooldown buckets, where the keys are the names.
+ * Commands with the `cooldownBucket` option set to one of these names share one cooldown with these options.
+ * @prop {CooldownStore|Provider} [cooldownStore] - Store for cooldowns, or a provider to store them with so they last through restarts.
+ * Defaults to a store in memory.
+ * @prop {number} [cooldownSweepInterval=3e5] - Time interval in milliseconds for sweeping expired cooldown entries.
+ * If 0, expired entries are only removed when they are next checked.
+ * @prop {number} [defaultTimeout=0] - The default time in milliseconds commands can run for before they are aborted.
+ * This includes `before` and parsing arguments, prompts included.
+ * If 0, commands have no timeout.
+ * @prop {CommandMetricsOptions} [metrics={}] - Options for the metrics of commands.
  * @prop {Snowflake|Snowflake[]|IgnoreCheckPredicate} [ignoreCooldown] - ID of user(s) to ignore cooldown or a function to ignore.
  * Defaults to the client owner(s).
  * @prop {Snowflake|Snowflake[]|IgnoreCheckPredicate} [ignorePermissions=[]] - ID of user(s) to ignore `userPermissions` checks or a function to ignore.
  * @prop {ArgumentPromptOptions} [defaultPrompt] - The default prompt options.
+ * @prop {boolean} [sendUsage=false] - Whether to reply with the usage of a command when an argument without a prompt or a default fails to parse or is not given.
+ * The `argumentFailed` event is emitted, and the command is not ran.
+ * @prop {number} [suggestionDistance=2] - Most edits between an unknown alias and an alias of a command for the command to be suggested.
+ * Edits are insertions, deletions, substitutions, and swaps of two letters next to each other.
+ * If 0, commands are not suggested.
+ * @prop {number} [suggestionRatio=0.4] - Most edits for a suggestion relative to the length of the longer alias.
+ * @prop {number} [suggestionLimit=3] - Most commands to suggest.
+ * @prop {boolean} [sendSuggestions=false] - Whether to reply with the suggested commands.
+ * @prop {boolean|HelpCommandOptions} [helpCommand=false] - Whether to load the built-in help command, or options for it.
+ * It is loaded when the handler is created, so commands of your own cannot use its aliases.
  */
 
 /**
@@ -1176,6 +2058,79 @@ module.exports = CommandHandler;
  * @returns {boolean}
  */
 
+/**
+ * Middleware that wraps the execution of commands.
+ * Code before `next` runs before the command and code after it runs after the command.
+ * Not calling `next` stops the command from running, and errors from the command can be caught around it.
+ * @typedef {Function} CommandMiddleware
+ * @param {MiddlewareContext} context - Context of the execution.
+ * @param {Function} next - Runs the rest of the middleware and the command, returning a Promise.
+ * @returns {any}
+ */
+
+/**
+ * Context of the execution of a command, given to middleware.
+ * @typedef {Object} MiddlewareContext
+ * @prop {CommandHandler} handler - The command handler.
+ * @prop {Message} message - Message that triggered the command.
+ * @prop {Command} command - The command.
+ * @prop {Object} args - Evaluated arguments, which can be changed before calling `next`.
+ * @prop {AbortSignal|CommandSignal} signal - Signal that aborts when the command times out or is cancelled.
+ * @prop {any} result - What the command returned, once it has ran.
+ */
+
+/**
+ * A command being ran for a message.
+ * @typedef {Object} CommandInvocation
+ * @prop {Message} message - Message that triggered the command.
+ * @prop {Command} command - The command.
+ * @prop {AbortController|CommandController} controller - Controller of the signal.
+ * @prop {AbortSignal|CommandSignal} signal - Signal that aborts when the command times out or is cancelled.
+ * It is a CommandSignal only if the runtime has no `AbortController`.
+ * @prop {number} startedAt - Time the command started at, in milliseconds since the epoch.
+ * @prop {number} timeout - Time in milliseconds the command can run for, or 0 if it has no timeout.
+ * It counts from when the command is started, so it includes `before` and parsing arguments, prompts included.
+ * @prop {?Timeout} timer - Timer of the timeout, while it is running.
+ * @prop {boolean} timedOut - Whether the command was aborted because it timed out, rather than cancelled.
+ * @prop {boolean} settled - Whether the command has finished or was aborted, after which the other is not reported.
+ */
+
+/**
+ * Options of a cooldown bucket shared by commands.
+ * @typedef {Object} CooldownBucketOptions
+ * @prop {number} cooldown - The cooldown in milliseconds.
+ * @prop {number} [ratelimit=1] - Amount of uses allowed until cooldown.
+ * @prop {CooldownScope} [scope] - Who the cooldown applies to.
+ * Defaults to the `defaultCooldownScope` option.
+ * @prop {CooldownWindow} [window] - How uses are counted.
+ * Defaults to the `defaultCooldownWindow` option.
+ */
+
+/**
+ * Cooldown settings of a command.
+ * @typedef {Object} CooldownSettings
+ * @prop {string} bucket - Name of the bucket, which is the qualified ID of the command if it has none.
+ * @prop {CooldownScope} scope - Who the cooldown applies to.
+ * @prop {CooldownWindow} window - How uses are counted.
+ * @prop {number} cooldown - The cooldown in milliseconds.
+ * @prop {number} ratelimit - Amount of uses allowed until cooldown.
+ */
+
+/**
+ * A command suggested for an unknown alias.
+ * @typedef {Object} CommandSuggestion
+ * @prop {Command} command - The command.
+ * @prop {string} alias - Alias of the command closest to the unknown alias.
+ * @prop {number} distance - Edits between the aliases.
+ */
+
+/**
+ * Permissions missing to run a command.
+ * @typedef {Object} MissingPermissions
+ * @prop {string} type - Either 'client' or 'user'.
+ * @prop {any} missing - The missing permissions.
+ */
+
 /**
  * A function that returns whether mentions can be used as a prefix.
  * @typedef {Function} MentionPrefixPredicate
@@ -0,0 +1,246 @@
+const { Collection } = require('discord.js');
+const { performance } = require('perf_hooks');
+
+const COUNTERS = {
+    invocations: 'Commands the handler started handling.',
+    finishes: 'Commands that finished execution.',
+    errors: 'Commands that errored.',
+    cancellations: 'Commands that were cancelled.',
+    timeouts: 'Commands that timed out.',
+    cooldowns: 'Commands blocked by a cooldown.',
+    permissionDenials: 'Commands blocked by missing permissions.'
+};
+
+const HISTOGRAMS = {
+    parse: 'Time taken to parse the arguments of commands, including prompts.',
+    exec: 'Time taken to execute commands.'
+};
+
+class CommandMetrics {
+    /**
+     * Collects metrics of commands, recorded by the command handler at each stage of handling.
+     * @param {CommandHandler} handler - The command handler.
+     * @param {CommandMetricsOptions} [options={}] - Options.
+     */
+    constructor(handler, {
+        buckets = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000],
+        prefix = 'akairo'
+    } = {}) {
+        /**
+         * The command handler.
+         * @type {CommandHandler}
+         */
+        this.handler = handler;
+
+        /**
+         * Upper bounds of the latency histogram buckets, in milliseconds.
+         * @type {number[]}
+         */
+        this.buckets = buckets.slice().sort((a, b) => a - b);
+
+        /**
+         * Prefix of the metric names in the Prometheus format.
+         * @type {string}
+         */
+        this.prefix = prefix;
+
+        /**
+         * Metrics of commands, mapped by their qualified IDs.
+         * @type {Collection<string, CommandMetricsEntry>}
+         */
+        this.commands = new Collection();
+    }
+
+    /**
+     * Gets the metrics of a command, creating them if there are none.
+     * @param {Command|string} command - Command or its qualified ID.
+     * @returns {CommandMetricsEntry}
+     */
+    get(command) {
+        const id = typeof command === 'string' ? command : command.qualifiedID;
+        if (!this.commands.has(id)) {
+            const entry = { blocks: {} };
+            for (const counter of Object.keys(COUNTERS)) entry[counter] = 0;
+            for (const histogram of Object.keys(HISTOGRAMS)) {
+                entry[histogram] = { buckets: this.buckets.map(le => ({ le, count: 0 })), count: 0, sum: 0 };
+            }
+
+            this.commands.set(id, entry);
+        }
+
+        return this.commands.get(id);
+    }
+
+    /**
+     * Adds one to a counter of a command.
+     * @param {Command|string} command - Command or its qualified ID.
+     * @param {string} counter - Name of the counter, such as `invocations` or `cooldowns`.
+     * @returns {number} The new count.
+     */
+    increment(command, counter) {
+        const entry = this.get(command);
+        entry[counter]++;
+        return entry[counter];
+    }
+
+    /**
+     * Adds one to the blocks of a command for a reason.
+     * @param {Command|string} command - Command or its qualified ID.
+     * @param {string} reason - Reason for the block.
+     * @returns {number} The new count.
+     */
+    block(command, reason) {
+        const { blocks } = this.get(command);
+        blocks[reason] = (blocks[reason] || 0) + 1;
+        return blocks[reason];
+    }
+
+    /**
+     * Records a latency of a command.
+     * @param {Command|string} command - Command or its qualified ID.
+     * @param {string} histogram - Name of the histogram, `parse` or `exec`.
+     * @param {number} time - The latency in milliseconds.
+     * @returns {void}
+     */
+    observe(command, histogram, time) {
+        const entry = this.get(command)[histogram];
+        for (const bucket of entry.buckets) {
+            if (time <= bucket.le) bucket.count++;
+        }
+
+        entry.count++;
+        entry.sum += time;
+    }
+
+    /**
+     * Starts timing a latency of a command.
+     * @param {Command|string} command - Command or its qualified ID.
+     * @param {string} histogram - Name of the histogram, `parse` or `exec`.
+     * @returns {Function} Function that records the time since this was called and returns it.
+     */
+    startTimer(command, histogram) {
+        const start = performance.now();
+        return () => {
+            const time = performance.now() - start;
+            this.observe(command, histogram, time);
+            return time;
+        };
+    }
+
+    /**
+     * Gets a copy of the metrics of every command.
+     * @returns {Object<string, CommandMetricsEntry>}
+     */
+    snapshot() {
+        const snapshot = {};
+        for (const [id, entry] of this.commands) {
+            const copy = { blocks: Object.assign({}, entry.blocks) };
+            for (const counter of Object.keys(COUNTERS)) copy[counter] = entry[counter];
+            for (const histogram of Object.keys(HISTOGRAMS)) {
+                const { buckets, count, sum } = entry[histogram];
+                copy[histogram] = { buckets: buckets.map(bucket => Object.assign({}, bucket)), count, sum };
+            }
+
+            snapshot[id] = copy;
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Removes the metrics of a command, or of every command.
+     * @param {Command|string} [command] - Command or its qualified ID.
+     * @returns {void}
+     */
+    reset(command) {
+        if (command == null) this.commands.clear();
+        else this.commands.delete(typeof command === 'string' ? command : command.qualifiedID);
+    }
+
+    /**
+     * Serializes the metrics of every command in the Prometheus text format.
+     * @returns {string}
+     */
+    toPrometheus() {
+        return CommandMetrics.serialize(this.snapshot(), this.prefix);
+    }
+
+    /**
+     * Serializes a snapshot of metrics in the Prometheus text format.
+     * Counters are named like `akairo_command_invocations_total` and have a `command` label.
+     * Latencies are histograms in seconds, named like `akairo_command_exec_duration_seconds`.
+     * @param {Object<string, CommandMetricsEntry>} snapshot - Snapshot to serialize.
+     * @param {string} [prefix='akairo'] - Prefix of the metric names.
+     * @returns {string}
+     */
+    static serialize(snapshot, prefix = 'akairo') {
+        const entries = Object.entries(snapshot);
+        const label = (key, value) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+        const lines = [];
+
+        for (const [counter, help] of Object.entries(COUNTERS)) {
+            const name = `${prefix}_command_${counter.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`)}_total`;
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`);
+            for (const [id, entry] of entries) lines.push(`${name}{${label('command', id)}} ${entry[counter]}`);
+        }
+
+        const blocks = `${prefix}_command_blocks_total`;
+        lines.push(`# HELP ${blocks} Commands blocked by inhibitors or built-in checks, by reason.`, `# TYPE ${blocks} counter`);
+        for (const [id, entry] of entries) {
+            for (const [reason, count] of Object.entries(entry.blocks)) {
+                lines.push(`${blocks}{${label('command', id)},${label('reason', reason)}} ${count}`);
+            }
+        }
+
+        for (const [histogram, help] of Object.entries(HISTOGRAMS)) {
+            const name = `${prefix}_command_${histogram}_duration_seconds`;
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} histogram`);
+            for (const [id, entry] of entries) {
+                const { buckets, count, sum } = entry[histogram];
+                for (const bucket of buckets) {
+                    lines.push(`${name}_bucket{${label('command', id)},${label('le', bucket.le / 1000)}} ${bucket.count}`);
+                }
+
+                lines.push(`${name}_bucket{${label('command', id)},${label('le', '+Inf')}} ${count}`);
+                lines.push(`${name}_sum{${label('command', id)}} ${sum / 1000}`);
+                lines.push(`${name}_count{${label('command', id)}} ${count}`);
+            }
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+module.exports = CommandMetrics;
+
+/**
+ * Options for the metrics of commands.
+ * @typedef {Object} CommandMetricsOptions
+ * @prop {number[]} [buckets] - Upper bounds of the latency histogram buckets, in milliseconds.
+ * Defaults to buckets from 5 milliseconds to 10 seconds.
+ * @prop {string} [prefix='akairo'] - Prefix of the metric names in the Prometheus format.
+ */
+
+/**
+ * Metrics of a command.
+ * @typedef {Object} CommandMetricsEntry
+ * @prop {number} invocations - Times the handler started handling the command.
+ * @prop {number} finishes - Times the command finished execution.
+ * @prop {number} errors - Times the command errored.
+ * @prop {number} cancellations - Times the command was cancelled.
+ * @prop {number} timeouts - Times the command timed out.
+ * @prop {number} cooldowns - Times the command was blocked by a cooldown.
+ * @prop {number} permissionDenials - Times the command was blocked by missing permissions.
+ * @prop {Object<string, number>} blocks - Times the command was blocked by inhibitors or built-in checks, mapped by reason.
+ * Uses of the command while it was disabled are counted under 'disabled'.
+ * @prop {LatencyHistogram} parse - Latencies of argument parsing.
+ * @prop {LatencyHistogram} exec - Latencies of execution.
+ */
+
+/**
+ * A histogram of latencies in milliseconds.
+ * @typedef {Object} LatencyHistogram
+ * @prop {Array<{ le: number, count: number }>} buckets - Amount of latencies at most each upper bound, in ascending order.
+ * @prop {number} count - Amount of latencies.
+ * @prop {number} sum - Sum of the latencies.
+ */
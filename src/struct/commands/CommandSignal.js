@@ -0,0 +1,100 @@
+const EventEmitter = require('events');
+
+class CommandSignal extends EventEmitter {
+    /**
+     * Signal that aborts when a command times out or is cancelled, for runtimes without `AbortController`.
+     * It has the `aborted`, `reason`, `addEventListener`, and `removeEventListener` of an `AbortSignal`,
+     * but is not accepted where a real `AbortSignal` is needed, such as by `fetch`.
+     * Emits `abort` with the reason when it aborts.
+     */
+    constructor() {
+        super();
+
+        /**
+         * Whether the signal has aborted.
+         * @type {boolean}
+         */
+        this.aborted = false;
+
+        /**
+         * Reason the signal aborted with.
+         * @type {any}
+         */
+        this.reason = undefined;
+    }
+
+    /**
+     * Aborts the signal.
+     * Returns false if it had already aborted.
+     * @param {any} reason - Reason to abort with.
+     * @returns {boolean}
+     */
+    abort(reason) {
+        if (this.aborted) return false;
+        this.aborted = true;
+        this.reason = reason;
+        this.emit('abort', reason);
+        return true;
+    }
+
+    /**
+     * Throws the reason if the signal has aborted.
+     * @returns {void}
+     */
+    throwIfAborted() {
+        if (this.aborted) throw this.reason;
+    }
+
+    /**
+     * Adds a listener, like `on`.
+     * @param {string} event - Event to listen to.
+     * @param {Function} listener - Listener to add.
+     * @returns {void}
+     */
+    addEventListener(event, listener) {
+        this.on(event, listener);
+    }
+
+    /**
+     * Removes a listener, like `removeListener`.
+     * @param {string} event - Event to stop listening to.
+     * @param {Function} listener - Listener to remove.
+     * @returns {void}
+     */
+    removeEventListener(event, listener) {
+        this.removeListener(event, listener);
+    }
+
+    /**
+     * Creates a controller for the signal of a command.
+     * This is an `AbortController` if the runtime has one, so that its signal can be given to `fetch` and the like.
+     * Otherwise, its signal is a CommandSignal.
+     * @returns {AbortController|CommandController}
+     */
+    static createController() {
+        if (typeof global.AbortController === 'function') return new global.AbortController();
+
+        const signal = new CommandSignal();
+        return {
+            signal,
+            abort: reason => {
+                signal.abort(reason);
+            }
+        };
+    }
+}
+
+module.exports = CommandSignal;
+
+/**
+ * Emitted when the signal aborts.
+ * @event CommandSignal#abort
+ * @param {any} reason - Reason the signal aborted with.
+ */
+
+/**
+ * Controller for a CommandSignal, used when the runtime has no `AbortController`.
+ * @typedef {Object} CommandController
+ * @prop {CommandSignal} signal - The signal.
+ * @prop {Function} abort - Aborts the signal with a reason.
+ */
@@ -0,0 +1,247 @@
+const AkairoError = require('../../util/AkairoError');
+const { Collection } = require('discord.js');
+
+class CooldownStore {
+    /**
+     * A store for cooldown entries, mapped by cooldown IDs.
+     * Entries expire at their end time, so stores do not need timers.
+     * Must be implemented.
+     */
+    constructor() {
+        /**
+         * Updates waiting to run, mapped by cooldown ID.
+         * @type {Map<string, Promise<void>>}
+         */
+        this.queues = new Map();
+    }
+
+    /**
+     * Gets an entry that has not expired.
+     * @abstract
+     * @param {string} id - ID of the cooldown.
+     * @returns {?CooldownEntry|Promise<?CooldownEntry>}
+     */
+    get() {
+        throw new AkairoError('NOT_IMPLEMENTED', this.constructor.name, 'get');
+    }
+
+    /**
+     * Sets an entry.
+     * @abstract
+     * @param {string} id - ID of the cooldown.
+     * @param {CooldownEntry} entry - The entry.
+     * @returns {any}
+     */
+    set() {
+        throw new AkairoError('NOT_IMPLEMENTED', this.constructor.name, 'set');
+    }
+
+    /**
+     * Deletes an entry.
+     * @abstract
+     * @param {string} id - ID of the cooldown.
+     * @returns {any}
+     */
+    delete() {
+        throw new AkairoError('NOT_IMPLEMENTED', this.constructor.name, 'delete');
+    }
+
+    /**
+     * Updates an entry, waiting for earlier updates of the same ID so that none of them run in between.
+     * Stores shared between processes should override this to update atomically.
+     * @param {string} id - ID of the cooldown.
+     * @param {CooldownUpdater} updater - Function to get the new entry.
+     * @returns {Promise<?CooldownEntry>}
+     */
+    update(id, updater) {
+        const previous = this.queues.get(id) || Promise.resolve();
+        const updated = previous.then(async () => {
+            const entry = await this.get(id);
+            const newEntry = await updater(entry);
+            if (newEntry) await this.set(id, newEntry);
+            return newEntry || null;
+        });
+
+        const queue = updated.then(() => undefined, () => undefined);
+        this.queues.set(id, queue);
+        queue.then(() => {
+            if (this.queues.get(id) === queue) this.queues.delete(id);
+        });
+
+        return updated;
+    }
+
+    /**
+     * Removes expired entries and returns the amount removed.
+     * Stores that remove entries some other way do not have to implement this.
+     * @param {number} now - The current time.
+     * @returns {number|Promise<number>}
+     */
+    sweep() {
+        return 0;
+    }
+
+    /**
+     * Creates a cooldown store.
+     * @param {CooldownStore|Provider} [from] - Store, or a provider for a store using it.
+     * Defaults to a store in memory.
+     * @returns {CooldownStore}
+     */
+    static create(from) {
+        if (from instanceof CooldownStore) return from;
+        if (from) return new ProviderCooldownStore(from);
+        return new MemoryCooldownStore();
+    }
+}
+
+/** @extends CooldownStore */
+class MemoryCooldownStore extends CooldownStore {
+    /**
+     * Stores cooldown entries in memory.
+     */
+    constructor() {
+        super();
+
+        /**
+         * The entries.
+         * @type {Collection<string, CooldownEntry>}
+         */
+        this.entries = new Collection();
+    }
+
+    get(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return null;
+
+        if (entry.end <= Date.now()) {
+            this.entries.delete(id);
+            return null;
+        }
+
+        return entry;
+    }
+
+    set(id, entry) {
+        this.entries.set(id, entry);
+    }
+
+    delete(id) {
+        return this.entries.delete(id);
+    }
+
+    sweep(now) {
+        let count = 0;
+        for (const [id, entry] of this.entries) {
+            if (entry.end <= now) {
+                count++;
+                this.entries.delete(id);
+            }
+        }
+
+        return count;
+    }
+}
+
+/** @extends CooldownStore */
+class ProviderCooldownStore extends CooldownStore {
+    /**
+     * Stores cooldown entries with a provider, so that they last through restarts.
+     * All cooldown entries are kept in one provider entry as an object mapped by cooldown ID,
+     * so that the provider does not get an entry for every user and command.
+     * @param {Provider} provider - Provider to use.
+     * @param {Object} [options={}] - Options.
+     * @param {string} [options.id='cooldowns'] - ID of the provider entry for cooldown entries.
+     * @param {string} [options.key='cooldown'] - Key of the provider entry for cooldown entries.
+     */
+    constructor(provider, { id = 'cooldowns', key = 'cooldown' } = {}) {
+        super();
+
+        /**
+         * Provider to use.
+         * @type {Provider}
+         */
+        this.provider = provider;
+
+        /**
+         * ID of the provider entry for cooldown entries.
+         * @type {string}
+         */
+        this.id = id;
+
+        /**
+         * Key of the provider entry for cooldown entries.
+         * @type {string}
+         */
+        this.key = key;
+    }
+
+    /**
+     * Gets a copy of the cooldown entries, mapped by cooldown ID.
+     * @returns {Object<string, CooldownEntry>}
+     */
+    getEntries() {
+        return Object.assign({}, this.provider.get(this.id, this.key, null));
+    }
+
+    async get(id) {
+        const entry = this.getEntries()[id];
+        if (!entry) return null;
+
+        if (entry.end <= Date.now()) {
+            await this.delete(id);
+            return null;
+        }
+
+        return entry;
+    }
+
+    set(id, entry) {
+        const data = { end: entry.end, uses: entry.uses };
+        if (entry.timestamps) data.timestamps = entry.timestamps;
+
+        const entries = this.getEntries();
+        entries[id] = data;
+        return this.provider.set(this.id, this.key, entries);
+    }
+
+    delete(id) {
+        const entries = this.getEntries();
+        if (!(id in entries)) return undefined;
+
+        delete entries[id];
+        return this.provider.set(this.id, this.key, entries);
+    }
+
+    async sweep(now) {
+        const entries = this.getEntries();
+        const expired = Object.keys(entries).filter(id => entries[id].end <= now);
+        if (!expired.length) return 0;
+
+        for (const id of expired) delete entries[id];
+        await this.provider.set(this.id, this.key, entries);
+        return expired.length;
+    }
+}
+
+Object.assign(CooldownStore, {
+    MemoryCooldownStore,
+    ProviderCooldownStore
+});
+
+module.exports = CooldownStore;
+
+/**
+ * An entry of a cooldown.
+ * @typedef {Object} CooldownEntry
+ * @prop {number} end - Time the cooldown ends at, in milliseconds since the epoch.
+ * @prop {number} uses - Uses so far.
+ * @prop {number[]} [timestamps] - Times of the uses, for sliding windows.
+ */
+
+/**
+ * Gets the new entry of a cooldown from its current entry.
+ * Returning null leaves the entry as is.
+ * @typedef {Function} CooldownUpdater
+ * @param {?CooldownEntry} entry - The current entry, or null if there is none.
+ * @returns {?CooldownEntry|Promise<?CooldownEntry>}
+ */
@@ -0,0 +1,323 @@
+const Command = require('./Command');
+
+/** @extends Command */
+class HelpCommand extends Command {
+    /**
+     * Creates the built-in help command.
+     * It lists the categories and their commands, shows help for a command, or searches commands.
+     * @param {HelpCommandOptions} [options={}] - Options for the command.
+     */
+    constructor({
+        id = 'help',
+        aliases = ['help'],
+        description = 'Shows the commands, help for a command, or commands matching a search.',
+        examples = ['help', 'help ping', 'help music'],
+        hideUnusable = true,
+        formatList,
+        formatCommand,
+        formatSearch,
+        formatNotFound,
+        formatUsage,
+        ...options
+    } = {}) {
+        super(id, Object.assign({
+            aliases,
+            description,
+            examples,
+            args: [
+                {
+                    id: 'query',
+                    match: 'content',
+                    default: '',
+                    description: 'Command or category to show, or text to search for.'
+                }
+            ]
+        }, options));
+
+        /**
+         * Whether commands the user cannot run are hidden.
+         * @type {boolean}
+         */
+        this.hideUnusable = Boolean(hideUnusable);
+
+        const formatters = { formatList, formatCommand, formatSearch, formatNotFound, formatUsage };
+        for (const [key, formatter] of Object.entries(formatters)) {
+            if (typeof formatter === 'function') this[key] = formatter.bind(this);
+        }
+    }
+
+    /**
+     * Shows the list, help for a command or a category, or search results.
+     * @param {Message} message - Message that triggered the command.
+     * @param {Object} args - Evaluated arguments.
+     * @returns {Promise<?Message>}
+     */
+    async exec(message, { query }) {
+        let response;
+        if (!query) {
+            response = this.formatList(message, await this.getEntries(message));
+        } else {
+            const command = await this.findUsable(message, query);
+            const category = !command && this.handler.findCategory(query);
+
+            if (command) {
+                response = this.formatCommand(message, command);
+            } else if (category && !category.hidden) {
+                const entry = await this.getEntry(message, category);
+                response = entry.commands.length ? this.formatList(message, [entry]) : this.formatNotFound(message, query);
+            } else {
+                const commands = await this.search(message, query);
+                response = commands.length ? this.formatSearch(message, query, commands) : this.formatNotFound(message, query);
+            }
+        }
+
+        if (response == null) return null;
+        return message.util ? message.util.send(response) : message.channel.send(response);
+    }
+
+    /**
+     * Gets the categories that are not hidden, with the commands the user can run in them.
+     * Categories without such commands are left out.
+     * @param {Message} message - Message that triggered the command.
+     * @returns {Promise<HelpCategoryEntry[]>}
+     */
+    async getEntries(message) {
+        const entries = [];
+        for (const category of this.handler.categories.values()) {
+            if (category.hidden) continue;
+
+            // eslint-disable-next-line no-await-in-loop
+            const entry = await this.getEntry(message, category);
+            if (entry.commands.length) entries.push(entry);
+        }
+
+        return entries;
+    }
+
+    /**
+     * Gets a category with the commands the user can run in it.
+     * @param {Message} message - Message that triggered the command.
+     * @param {Category} category - Category to use.
+     * @returns {Promise<HelpCategoryEntry>}
+     */
+    async getEntry(message, category) {
+        const commands = [];
+        for (const command of category.values()) {
+            // eslint-disable-next-line no-await-in-loop
+            if (await this.isShown(message, command)) commands.push(command);
+        }
+
+        return { category, commands };
+    }
+
+    /**
+     * Finds a command or subcommand by its name, like `config set`, if the user can run it.
+     * @param {Message} message - Message that triggered the command.
+     * @param {string} query - Names of the command and its subcommands.
+     * @returns {Promise<?Command>}
+     */
+    async findUsable(message, query) {
+        const [name, ...rest] = query.trim().split(/\s+/);
+        const found = this.handler.findCommand(name);
+        if (!found) return null;
+
+        const { command } = found.resolveSubcommand(rest.join(' '));
+        return await this.isShown(message, command) ? command : null;
+    }
+
+    /**
+     * Searches commands and subcommands that the user can run by their names and descriptions.
+     * @param {Message} message - Message that triggered the command.
+     * @param {string} query - Text to search for.
+     * @returns {Promise<Command[]>}
+     */
+    async search(message, query) {
+        query = query.toLowerCase();
+
+        const found = [];
+        const visit = async command => {
+            if (!await this.isShown(message, command)) return;
+
+            const names = command.parent ? command.getNames() : command.aliases;
+            const description = this.constructor.getDescription(command).toLowerCase();
+            if (names.some(name => name.toLowerCase().includes(query)) || description.includes(query)) found.push(command);
+
+            for (const subcommand of command.subcommands.values()) {
+                // eslint-disable-next-line no-await-in-loop
+                await visit(subcommand);
+            }
+        };
+
+        for (const command of this.handler.modules.values()) {
+            if (command.category.hidden) continue;
+
+            // eslint-disable-next-line no-await-in-loop
+            await visit(command);
+        }
+
+        return found;
+    }
+
+    /**
+     * Checks if a command is shown to the user.
+     * With `hideUnusable`, commands the user cannot run are not.
+     * @param {Message} message - Message that triggered the command.
+     * @param {Command} command - Command to check.
+     * @returns {Promise<boolean>}
+     */
+    isShown(message, command) {
+        return this.hideUnusable ? this.handler.canRun(message, command) : Promise.resolve(true);
+    }
+
+    /**
+     * Gets the prefix to show in examples and usage lines.
+     * @param {Message} message - Message that triggered the command.
+     * @returns {string}
+     */
+    getPrefix(message) {
+        return this.handler.getDisplayPrefix(message);
+    }
+
+    /**
+     * Formats the list of categories and commands.
+     * @param {Message} message - Message that triggered the command.
+     * @param {HelpCategoryEntry[]} entries - Categories with the commands to show.
+     * @returns {string}
+     */
+    formatList(message, entries) {
+        const lines = ['**Commands**'];
+        for (const { category, commands } of entries) {
+            lines.push('', category.description ? `__${category.name}__ - ${category.description}` : `__${category.name}__`);
+            lines.push(commands.map(command => `\`${command.aliases[0] || command.id}\``).join(', '));
+        }
+
+        lines.push('', `Use \`${this.getPrefix(message)}${this.qualifiedName} <command>\` for help with a command.`);
+        return lines.join('\n');
+    }
+
+    /**
+     * Formats the help for a command.
+     * @param {Message} message - Message that triggered the command.
+     * @param {Command} command - Command to show.
+     * @returns {string}
+     */
+    formatCommand(message, command) {
+        const code = value => `\`${value}\``;
+        const prefix = this.getPrefix(message);
+        const description = this.constructor.getDescription(command);
+
+        const lines = [`**${command.qualifiedName}**`];
+        if (description) lines.push(description);
+        lines.push('', `**Usage:** ${code(this.formatUsage(message, command))}`);
+
+        const aliases = command.parent ? command.getNames() : command.aliases;
+        if (aliases.length > 1) lines.push(`**Aliases:** ${aliases.map(code).join(', ')}`);
+
+        const args = typeof command.args === 'function' ? [] : command.args.toJSON();
+        const described = args.filter(arg => arg.description);
+        if (described.length) {
+            lines.push('**Arguments:**');
+            for (const arg of described) lines.push(`- ${code(arg.id)}: ${arg.description}`);
+        }
+
+        if (command.subcommands.size) {
+            lines.push('**Subcommands:**');
+            for (const subcommand of command.subcommands.values()) {
+                const subdescription = this.constructor.getDescription(subcommand);
+                lines.push(`- ${code(subcommand.getNames()[0])}${subdescription ? `: ${subdescription}` : ''}`);
+            }
+        }
+
+        if (command.examples.length) {
+            lines.push('**Examples:**');
+            for (const example of command.examples) lines.push(`- ${code(`${prefix}${example}`)}`);
+        }
+
+        const cooldown = this.handler.getCooldownSettings(command);
+        if (cooldown.cooldown) {
+            const uses = `${cooldown.ratelimit} use${cooldown.ratelimit === 1 ? '' : 's'}`;
+            lines.push(`**Cooldown:** ${cooldown.cooldown / 1000} seconds, ${uses} per ${cooldown.scope}`);
+        }
+
+        for (const [key, label] of [['userPermissions', 'User permissions'], ['clientPermissions', 'Bot permissions']]) {
+            if (command[key] && typeof command[key] !== 'function') {
+                lines.push(`**${label}:** ${[].concat(command[key]).map(code).join(', ')}`);
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Formats the commands found by a search.
+     * @param {Message} message - Message that triggered the command.
+     * @param {string} query - Text searched for.
+     * @param {Command[]} commands - Commands found.
+     * @returns {string}
+     */
+    formatSearch(message, query, commands) {
+        const lines = [`**Commands matching "${query}"**`];
+        for (const command of commands) {
+            const description = this.constructor.getDescription(command);
+            lines.push(`\`${command.qualifiedName}\`${description ? ` - ${description}` : ''}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Formats the response when nothing was found.
+     * @param {Message} message - Message that triggered the command.
+     * @param {string} query - Text searched for.
+     * @returns {string}
+     */
+    formatNotFound(message, query) {
+        return `No commands found for "${query}".`;
+    }
+
+    /**
+     * Formats the usage line of a command.
+     * @param {Message} message - Message that triggered the command.
+     * @param {Command} command - Command to show.
+     * @returns {string}
+     */
+    formatUsage(message, command) {
+        return `${this.getPrefix(message)}${command.usage}`;
+    }
+
+    /**
+     * Gets the description of a command as text.
+     * A description that is an object can have the text as `content`.
+     * @param {Command} command - Command to use.
+     * @returns {string}
+     */
+    static getDescription(command) {
+        const { description } = command;
+        if (description && typeof description === 'object') return description.content ? String(description.content) : '';
+        return description ? String(description) : '';
+    }
+}
+
+module.exports = HelpCommand;
+
+/**
+ * Options for the built-in help command.
+ * Also includes the options of commands.
+ * @typedef {CommandOptions} HelpCommandOptions
+ * @prop {string} [id='help'] - ID of the command.
+ * @prop {string[]} [aliases=['help']] - Command names.
+ * @prop {boolean} [hideUnusable=true] - Whether to hide commands the user cannot run.
+ * This checks that they are enabled, their `ownerOnly` and `channel` options, permissions, and pure post type inhibitors, see `CommandHandler#canRun`.
+ * @prop {Function} [formatList] - Formats the list of categories and commands, see `HelpCommand#formatList`.
+ * @prop {Function} [formatCommand] - Formats the help for a command, see `HelpCommand#formatCommand`.
+ * @prop {Function} [formatSearch] - Formats the commands found by a search, see `HelpCommand#formatSearch`.
+ * @prop {Function} [formatNotFound] - Formats the response when nothing was found, see `HelpCommand#formatNotFound`.
+ * @prop {Function} [formatUsage] - Formats the usage line of a command, see `HelpCommand#formatUsage`.
+ */
+
+/**
+ * A category with the commands to show in it.
+ * @typedef {Object} HelpCategoryEntry
+ * @prop {Category} category - The category.
+ * @prop {Command[]} commands - Commands to show.
+ */
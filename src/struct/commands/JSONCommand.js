@@ -0,0 +1,125 @@
+const AkairoError = require('../../util/AkairoError');
+const Command = require('./Command');
+const { isDefinition } = require('../../util/Util');
+
+const PLACEHOLDER_PROPERTIES = new Set([
+    'id', 'name', 'username', 'tag', 'discriminator', 'displayName', 'nickname',
+    'user', 'guild', 'content', 'topic', 'hexColor', 'length', 'size'
+]);
+
+/** @extends Command */
+class JSONCommand extends Command {
+    /**
+     * Creates a command from a definition, such as one from a JSON file.
+     * @param {JSONCommandDefinition} definition - Definition of the command.
+     */
+    constructor(definition) {
+        const { id, response = null, ...options } = definition;
+        if (typeof id !== 'string') throw new AkairoError('INVALID_TYPE', 'id', 'string');
+
+        super(id, options);
+
+        /**
+         * Response to send, with `{arg}` placeholders for the values of arguments.
+         * @type {?JSONCommandResponse}
+         */
+        this.response = response;
+    }
+
+    /**
+     * Sends the response, with the placeholders filled in.
+     * @param {Message} message - Message that triggered the command.
+     * @param {Object} args - Evaluated arguments.
+     * @returns {Promise<?Message>}
+     */
+    exec(message, args) {
+        if (this.response == null) return Promise.resolve(null);
+
+        const response = this.constructor.fill(this.response, args);
+        const options = typeof response === 'string' ? { content: response } : response;
+        return message.util ? message.util.send(options) : message.channel.send(options);
+    }
+
+    /**
+     * Returns data for the JSON representation of the command.
+     * @returns {Object}
+     */
+    toJSON() {
+        return Object.assign(super.toJSON(), { response: this.response });
+    }
+
+    /**
+     * Fills in the `{arg}` placeholders of a template.
+     * Placeholders can use dots for a few properties that are safe to show, like `{user.username}` or `{member.guild.name}`.
+     * Placeholders of arguments that do not exist or with other properties, like `{user.client}`, are kept as they are.
+     * Null values become an empty string.
+     * @param {any} template - String, or an object or array with strings in it.
+     * @param {Object} args - Evaluated arguments.
+     * @returns {any}
+     */
+    static fill(template, args) {
+        if (typeof template === 'string') {
+            return template.replace(/\{([\w.]+)\}/g, (placeholder, key) => {
+                const [first, ...rest] = key.split('.');
+                if (!Object.prototype.hasOwnProperty.call(args, first)) return placeholder;
+
+                if (rest.some(prop => !PLACEHOLDER_PROPERTIES.has(prop))) return placeholder;
+
+                const value = rest.reduce((v, prop) => v == null ? v : v[prop], args[first]);
+                return value == null ? '' : String(value);
+            });
+        }
+
+        if (Array.isArray(template)) return template.map(t => this.fill(t, args));
+
+        if (template && typeof template === 'object') {
+            const filled = {};
+            for (const [key, value] of Object.entries(template)) filled[key] = this.fill(value, args);
+            return filled;
+        }
+
+        return template;
+    }
+
+    /**
+     * Checks if something is a command definition.
+     * This is an alias of `Util.isDefinition`.
+     * @param {any} definition - Thing to check.
+     * @returns {boolean}
+     */
+    static isDefinition(definition) {
+        return isDefinition(definition);
+    }
+
+    /**
+     * Creates a command class from a definition, which the handler can load like any other command class.
+     * @param {JSONCommandDefinition} definition - Definition of the command.
+     * @returns {Function}
+     */
+    static from(definition) {
+        return class extends this {
+            constructor() {
+                super(definition);
+            }
+        };
+    }
+}
+
+module.exports = JSONCommand;
+
+/**
+ * Definition of a command, like the contents of a JSON file.
+ * Everything but the `id` and `response` are options for the command, so only options that can be written in JSON are useful.
+ * Types of arguments are given by name, and prompts are given as text.
+ * @typedef {CommandOptions} JSONCommandDefinition
+ * @prop {string} id - ID of the command.
+ * @prop {JSONCommandResponse} [response] - Response to send.
+ */
+
+/**
+ * Response of a command made from a definition.
+ * A string is sent as the content.
+ * An object is sent as message options, such as `content` and `embed`.
+ * Strings anywhere in it can have `{arg}` placeholders, where `arg` is the ID of an argument.
+ * @typedef {string|Object} JSONCommandResponse
+ */
@@ -21,6 +21,16 @@ class ParsingFlag {
     static retry(message) {
         return new CommandRetry(message);
     }
+
+    /**
+     * Creates a flag that stops the command because an argument failed to parse.
+     * @param {Argument} argument - Argument that failed.
+     * @param {string} phrase - Phrase that failed to parse.
+     * @returns {CommandFail}
+     */
+    static fail(argument, phrase) {
+        return new CommandFail(argument, phrase);
+    }
 }
 
 /** @extends ParsingFlag */
@@ -51,9 +61,34 @@ class CommandRetry extends ParsingFlag {
     }
 }
 
+/** @extends ParsingFlag */
+class CommandFail extends ParsingFlag {
+    /**
+     * Ends parsing because an argument without a prompt failed to parse or was not given.
+     * @param {Argument} argument - Argument that failed.
+     * @param {string} phrase - Phrase that failed to parse.
+     */
+    constructor(argument, phrase) {
+        super();
+
+        /**
+         * Argument that failed.
+         * @type {Argument}
+         */
+        this.argument = argument;
+
+        /**
+         * Phrase that failed to parse, which is empty if the argument was not given.
+         * @type {string}
+         */
+        this.phrase = phrase;
+    }
+}
+
 Object.assign(ParsingFlag, {
     CommandCancel,
-    CommandRetry
+    CommandRetry,
+    CommandFail
 });
 
 module.exports = ParsingFlag;
@@ -0,0 +1,146 @@
+const AkairoError = require('../../util/AkairoError');
+const { Collection } = require('discord.js');
+const { isPromise } = require('../../util/Util');
+
+class PrefixManager {
+    /**
+     * Manages prefixes per guild and per channel, stored with a provider.
+     * Prefixes of a channel override those of its guild, which override the default prefix of the handler.
+     * @param {CommandHandler} handler - The command handler.
+     * @param {PrefixManagerOptions} options - Options.
+     */
+    constructor(handler, {
+        provider,
+        key = 'prefix'
+    } = {}) {
+        /**
+         * The command handler.
+         * @type {CommandHandler}
+         */
+        this.handler = handler;
+
+        /**
+         * Provider for the prefixes.
+         * Entries are guild or channel IDs with their type in front, such as `guild:123` or `channel:456`.
+         * This keeps them apart when a channel has the same ID as its guild.
+         * @type {Provider}
+         */
+        this.provider = provider;
+
+        /**
+         * Key of the provider entries for the prefixes.
+         * @type {string}
+         */
+        this.key = key;
+
+        /**
+         * Prefixes read from the provider, mapped by entry ID.
+         * Entries without prefixes are cached as null.
+         * @type {Collection<string, ?Array<string>>}
+         */
+        this.cache = new Collection();
+    }
+
+    /**
+     * Gets the entry ID of a guild or channel, such as `guild:123` or `channel:456`.
+     * @param {Guild|Channel|Snowflake} target - Guild or channel to use.
+     * @param {string} [type] - Either 'guild' or 'channel'.
+     * Defaults to 'channel' for objects with a type and 'guild' otherwise, so it is needed for channel IDs.
+     * @returns {string}
+     */
+    getEntryID(target, type) {
+        if (type == null) type = typeof target === 'object' && target.type ? 'channel' : 'guild';
+        if (type !== 'guild' && type !== 'channel') throw new AkairoError('INVALID_TYPE', 'type', '\'guild\' or \'channel\'');
+        return `${type}:${target.id || target}`;
+    }
+
+    /**
+     * Gets the prefixes set for a guild or channel.
+     * @param {Guild|Channel|Snowflake} target - Guild or channel to use.
+     * @param {string} [type] - Either 'guild' or 'channel'.
+     * @returns {?Array<string>}
+     */
+    get(target, type) {
+        const id = this.getEntryID(target, type);
+        if (!this.cache.has(id)) {
+            const prefix = this.provider.get(id, this.key, null);
+            this.cache.set(id, prefix == null ? null : [].concat(prefix));
+        }
+
+        const prefixes = this.cache.get(id);
+        return prefixes && prefixes.slice();
+    }
+
+    /**
+     * Gets the prefixes to use for a message.
+     * These are the prefixes of its channel, else the prefixes of its guild, else the default prefix of the handler.
+     * @param {Message} message - Message to use.
+     * @returns {Promise<string|string[]>}
+     */
+    async resolve(message) {
+        const prefixes = this.get(message.channel, 'channel') || (message.guild && this.get(message.guild, 'guild'));
+        if (prefixes) return prefixes;
+
+        let prefix = typeof this.handler.prefix === 'function' ? this.handler.prefix(message) : this.handler.prefix;
+        if (isPromise(prefix)) prefix = await prefix;
+        return prefix;
+    }
+
+    /**
+     * Sets the prefixes of a guild or channel.
+     * @param {Guild|Channel|Snowflake} target - Guild or channel to use.
+     * @param {string|string[]} prefix - Prefix or prefixes.
+     * @param {string} [type] - Either 'guild' or 'channel'.
+     * @returns {Promise<string[]>}
+     */
+    async setPrefix(target, prefix, type) {
+        const prefixes = [].concat(prefix);
+        if (!prefixes.length || prefixes.some(p => typeof p !== 'string' || !p)) {
+            throw new AkairoError('INVALID_TYPE', 'prefix', 'non-empty string or array of them');
+        }
+
+        const id = this.getEntryID(target, type);
+        await this.provider.set(id, this.key, prefixes.length === 1 ? prefixes[0] : prefixes);
+        this.cache.set(id, prefixes);
+        return prefixes.slice();
+    }
+
+    /**
+     * Removes the prefixes of a guild or channel, so that the ones it falls back to are used.
+     * @param {Guild|Channel|Snowflake} target - Guild or channel to use.
+     * @param {string} [type] - Either 'guild' or 'channel'.
+     * @returns {Promise<boolean>}
+     */
+    async resetPrefix(target, type) {
+        if (!this.get(target, type)) return false;
+
+        const id = this.getEntryID(target, type);
+
+        await this.provider.delete(id, this.key);
+        this.cache.set(id, null);
+        return true;
+    }
+
+    /**
+     * Removes cached prefixes, such as after the provider was changed elsewhere.
+     * @param {Guild|Channel|Snowflake} [target] - Guild or channel to remove.
+     * Removes everything if not given.
+     * @param {string} [type] - Either 'guild' or 'channel'.
+     * @returns {void}
+     */
+    clearCache(target, type) {
+        if (target == null) this.cache.clear();
+        else this.cache.delete(this.getEntryID(target, type));
+    }
+}
+
+module.exports = PrefixManager;
+
+/**
+ * Options for the prefix manager.
+ * @typedef {Object} PrefixManagerOptions
+ * @prop {Provider} provider - Provider for the prefixes.
+ * It should already be initialized.
+ * @prop {string} [key='prefix'] - Key of the provider entries for the prefixes.
+ * A prefix is stored as a string, and multiple prefixes as an array.
+ */
@@ -1,6 +1,6 @@
 const { ArgumentMatches, ArgumentTypes } = require('../../../util/Constants');
 const ParsingFlag = require('../ParsingFlag');
-const { isPromise } = require('../../../util/Util');
+const { isPromise, serialize } = require('../../../util/Util');
 
 class Argument {
     /**
@@ -113,11 +113,7 @@ class Argument {
     async process(phrase, message, args = {}) {
         phrase = phrase.trim();
 
-        const isOptional = (this.prompt && this.prompt.optional)
-            || (this.command.defaultPrompt && this.command.defaultPrompt.optional)
-            || (this.handler.defaultPrompt && this.handler.defaultPrompt.optional);
-
-        if (!phrase && isOptional) {
+        if (!phrase && this.isPromptOptional()) {
             let res = typeof this.default === 'function' ? this.default(message, args) : this.default;
             if (isPromise(res)) res = await res;
             return res;
@@ -127,6 +123,7 @@ class Argument {
 
         if (res == null) {
             if (this.prompt) return this.collect(message, args, phrase);
+            if (phrase ? this.handler.sendUsage && this.default == null : this.isRequired()) return ParsingFlag.fail(this, phrase);
 
             res = typeof this.default === 'function' ? this.default(message, args) : this.default;
             if (isPromise(res)) res = await res;
@@ -136,15 +133,64 @@ class Argument {
         return res;
     }
 
+    /**
+     * Checks if the prompt is optional, from the options of the argument, the command, or the handler.
+     * @returns {boolean}
+     */
+    isPromptOptional() {
+        return Boolean((this.prompt && this.prompt.optional)
+            || (this.command.defaultPrompt && this.command.defaultPrompt.optional)
+            || (this.handler && this.handler.defaultPrompt && this.handler.defaultPrompt.optional));
+    }
+
+    /**
+     * Checks if the command cannot run without the argument being given.
+     * That is when it has a prompt that is not optional,
+     * or when it has no prompt and no default and the `sendUsage` option of the handler is on.
+     * @returns {boolean}
+     */
+    isRequired() {
+        if (this.match === ArgumentMatches.FLAG || this.match === ArgumentMatches.NONE || this.isPromptOptional()) return false;
+        if (this.prompt) return true;
+        return this.default == null && Boolean(this.handler && this.handler.sendUsage);
+    }
+
+    /**
+     * Gets how the argument is written in the usage of its command, like `<member>`, `[reason...]`, or `[--days <number>]`.
+     * An argument is shown as required when `isRequired` is true.
+     * @param {boolean} [optional=false] - Whether to show the argument as optional anyway.
+     * @returns {?string}
+     */
+    getUsage(optional = false) {
+        optional = optional || !this.isRequired();
+        const flag = Array.isArray(this.flag) ? this.flag[0] : this.flag;
+
+        if (this.match === ArgumentMatches.NONE) return null;
+        if (this.match === ArgumentMatches.FLAG) return `[${flag}]`;
+
+        if (this.match === ArgumentMatches.OPTION) {
+            const value = typeof this.type === 'string' && this.type !== ArgumentTypes.STRING ? this.type : this.id;
+            return optional ? `[${flag} <${value}>]` : `${flag} <${value}>`;
+        }
+
+        const text = this.match === ArgumentMatches.PHRASE
+            ? Array.isArray(this.type) ? this.type.map(entry => Array.isArray(entry) ? entry[0] : entry).join('|') : this.id
+            : this.limit === 1 ? this.id : `${this.id}...`;
+
+        return optional ? `[${text}]` : `<${text}>`;
+    }
+
     /**
      * Casts a phrase to this argument's type.
      * @param {string} phrase - Phrase to process.
      * @param {Message} message - Message that called the command.
      * @param {Object} args - Previous arguments from command.
+     * @param {?AbortSignal|CommandSignal} [signal] - Signal that aborts when the command is cancelled.
+     * Defaults to the signal of the command being ran for the message.
      * @returns {Promise<any>}
      */
-    cast(phrase, message, args = {}) {
-        return Argument.cast(this.type, this.handler.resolver, phrase, message, args);
+    cast(phrase, message, args = {}, signal = this.handler.getSignal(message, this.command)) {
+        return Argument.cast(this.type, this.handler.resolver, phrase, message, args, signal);
     }
 
     /**
@@ -279,7 +325,7 @@ class Argument {
                 return values;
             }
 
-            const parsedValue = await this.cast(input.content, input, args);
+            const parsedValue = await this.cast(input.content, input, args, this.handler.getSignal(message, this.command));
             if (parsedValue == null) {
                 if (retryCount <= promptOptions.retries) {
                     return promptOne(input, retryCount + 1);
@@ -312,6 +358,26 @@ class Argument {
         return returnValue;
     }
 
+    /**
+     * Returns a serializable description of the argument.
+     * Types, defaults, and prompts that are functions are null.
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            match: this.match,
+            type: serialize(this.type),
+            flag: this.flag,
+            index: this.index,
+            unordered: this.unordered,
+            limit: this.limit,
+            description: serialize(this.description),
+            default: serialize(this.default),
+            prompt: serialize(this.prompt)
+        };
+    }
+
     /**
      * Casts a phrase to the specified type.
      * @param {ArgumentType|ArgumentTypeCaster} type - Type to use.
@@ -319,9 +385,10 @@ class Argument {
      * @param {string} phrase - Phrase to process.
      * @param {Message} message - Message that called the command.
      * @param {Object} args - Previous arguments from command.
+     * @param {?AbortSignal|CommandSignal} [signal] - Signal that aborts when the command is cancelled.
      * @returns {Promise<any>}
      */
-    static async cast(type, resolver, phrase, message, args) {
+    static async cast(type, resolver, phrase, message, args, signal = null) {
         if (Array.isArray(type)) {
             for (const entry of type) {
                 if (Array.isArray(entry)) {
@@ -337,7 +404,7 @@ class Argument {
         }
 
         if (typeof type === 'function') {
-            let res = type(phrase, message, args);
+            let res = type(phrase, message, args, signal);
             if (isPromise(res)) res = await res;
             if (res != null) return res;
             return null;
@@ -361,7 +428,7 @@ class Argument {
         }
 
         if (resolver.type(type)) {
-            let res = resolver.type(type).call(this, phrase, message, args);
+            let res = resolver.type(type).call(this, phrase, message, args, signal);
             if (isPromise(res)) res = await res;
             if (res != null) return res;
             return null;
@@ -379,11 +446,11 @@ class Argument {
      * @returns {ArgumentTypeCaster}
      */
     static union(...types) {
-        return async function typeFn(phrase, message, args) {
+        return async function typeFn(phrase, message, args, signal) {
             for (let entry of types) {
                 if (typeof type === 'function') entry = entry.bind(this);
                 // eslint-disable-next-line no-await-in-loop
-                const res = await Argument.cast(entry, this.handler.resolver, phrase, message, args);
+                const res = await Argument.cast(entry, this.handler.resolver, phrase, message, args, signal);
                 if (res != null) return res;
             }
 
@@ -398,12 +465,12 @@ class Argument {
      * @returns {ArgumentTypeCaster}
      */
     static tuple(...types) {
-        return async function typeFn(phrase, message, args) {
+        return async function typeFn(phrase, message, args, signal) {
             const results = [];
             for (let entry of types) {
                 if (typeof type === 'function') entry = entry.bind(this);
                 // eslint-disable-next-line no-await-in-loop
-                const res = await Argument.cast(entry, this.handler.resolver, phrase, message, args);
+                const res = await Argument.cast(entry, this.handler.resolver, phrase, message, args, signal);
                 if (res == null) return null;
                 results.push(res);
             }
@@ -420,9 +487,9 @@ class Argument {
      * @returns {ArgumentTypeCaster}
      */
     static validate(type, predicate) {
-        return async function typeFn(phrase, message, args) {
+        return async function typeFn(phrase, message, args, signal) {
             if (typeof type === 'function') type = type.bind(this);
-            const res = await Argument.cast(type, this.handler.resolver, phrase, message, args);
+            const res = await Argument.cast(type, this.handler.resolver, phrase, message, args, signal);
             if (res == null) return null;
             if (!predicate.call(this, res, phrase, message, args)) return null;
             return res;
@@ -450,12 +517,12 @@ class Argument {
      * @returns {ArgumentTypeCaster}
      */
     static compose(type1, type2, ignoreVoid = true) {
-        return async function typeFn(phrase, message, args) {
+        return async function typeFn(phrase, message, args, signal) {
             if (typeof type1 === 'function') type1 = type1.bind(this);
-            const res = await Argument.cast(type1, this.handler.resolver, phrase, message, args);
+            const res = await Argument.cast(type1, this.handler.resolver, phrase, message, args, signal);
             if (res == null && !ignoreVoid) return null;
             if (typeof type2 === 'function') type2 = type2.bind(this);
-            return Argument.cast(type2, this.handler.resolver, res, message, args);
+            return Argument.cast(type2, this.handler.resolver, res, message, args, signal);
         };
     }
     /* eslint-enable no-invalid-this */
@@ -604,6 +671,7 @@ module.exports = Argument;
  * @param {string} phrase - The user input.
  * @param {Message} message - Message that triggered the command.
  * @param {Object} prevArgs - Previous arguments.
+ * @param {?AbortSignal|CommandSignal} signal - Signal that aborts when the command is cancelled, for types that fetch data.
  * @returns {any}
  */
 
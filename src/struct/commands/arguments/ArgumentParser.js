@@ -100,7 +100,9 @@ class ArgumentParser {
 
                     for (const phrase of phrases) {
                         // eslint-disable-next-line no-await-in-loop
-                        res.push(await arg.process(phrase.value, msg, processed));
+                        const value = await arg.process(phrase.value, msg, processed);
+                        if (value instanceof ParsingFlag) return value;
+                        res.push(value);
                     }
 
                     return res;
@@ -183,6 +185,70 @@ class ArgumentParser {
         return res;
     }
 
+    /**
+     * Gets the usage of all arguments, including those within controls, like `<member> [reason...] [--silent]`.
+     * Arguments that take phrases come first, then flags and options.
+     * Arguments within controls are shown as optional, since they depend on the branch taken.
+     * Arguments that appear in more than one branch are only included once.
+     * @returns {string}
+     */
+    getUsage() {
+        const found = new Map();
+
+        (function pushArg(arg, inControl) {
+            if (Array.isArray(arg)) {
+                for (const a of arg) {
+                    pushArg(a, inControl);
+                }
+
+                return;
+            }
+
+            if (arg instanceof Control) {
+                pushArg(arg.getArgs(), true);
+                return;
+            }
+
+            if (!found.has(arg.id)) found.set(arg.id, { arg, inControl });
+        }(this.args, false));
+
+        const isFlag = arg => [ArgumentMatches.FLAG, ArgumentMatches.OPTION].includes(arg.match);
+        const usages = Array.from(found.values(), ({ arg, inControl }) => {
+            const argument = new Argument(this.command, arg);
+            return { flag: isFlag(argument), usage: argument.getUsage(inControl) };
+        }).filter(({ usage }) => usage);
+
+        return usages.filter(u => !u.flag).concat(usages.filter(u => u.flag)).map(u => u.usage).join(' ');
+    }
+
+    /**
+     * Returns serializable descriptions of all arguments, including those within controls.
+     * Arguments that appear in more than one branch are only included once.
+     * @returns {Object[]}
+     */
+    toJSON() {
+        const res = new Map();
+
+        (function pushArg(arg) {
+            if (Array.isArray(arg)) {
+                for (const a of arg) {
+                    pushArg(a);
+                }
+
+                return;
+            }
+
+            if (arg instanceof Control) {
+                pushArg(arg.getArgs());
+                return;
+            }
+
+            if (!res.has(arg.id)) res.set(arg.id, arg);
+        }(this.args));
+
+        return Array.from(res.values(), arg => new Argument(this.command, arg).toJSON());
+    }
+
     /**
      * Gets the flags that are used in all args.
      * @param {Array<ArgumentOptions|Control>} args - Argument to use.
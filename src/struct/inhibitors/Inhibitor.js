@@ -10,11 +10,14 @@ class Inhibitor extends AkairoModule {
      */
     constructor(id, {
         category,
+        dependencies,
+        stateVersion,
         reason = '',
         type = 'post',
-        priority = 0
+        priority = 0,
+        pure = false
     } = {}) {
-        super(id, { category });
+        super(id, { category, dependencies, stateVersion });
 
         /**
          * Reason emitted when command is inhibited.
@@ -34,6 +37,12 @@ class Inhibitor extends AkairoModule {
          */
         this.priority = priority;
 
+        /**
+         * Whether the inhibitor has no side effects, so that it can be ran just to check if a command can be ran.
+         * @type {boolean}
+         */
+        this.pure = Boolean(pure);
+
         /**
          * The ID of this inhibitor.
          * @name Inhibitor#id
@@ -85,4 +94,6 @@ module.exports = Inhibitor;
  * @prop {boolean} [type='post'] - Can be 'all' to run on all messages, 'pre' to run on messages not blocked by the built-in inhibitors, or 'post' to run on messages that are commands.
  * @prop {number} [priority=0] - Priority for the inhibitor for when more than one inhibitors block a message.
  * The inhibitor with the highest priority is the one that is used for the block reason.
+ * @prop {boolean} [pure=false] - Whether the inhibitor has no side effects, like counting uses for a rate limit.
+ * Only pure inhibitors are ran by `CommandHandler#canRun`, such as to hide commands from the help command.
  */
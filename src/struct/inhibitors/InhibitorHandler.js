@@ -13,9 +13,20 @@ class InhibitorHandler extends AkairoHandler {
     constructor(client, {
         directory,
         classToHandle = Inhibitor,
-        extensions = ['.js', '.ts'],
+        extensions = ['.js', '.ts', '.mjs', '.cjs'],
         automateCategories,
-        loadFilter
+        categoryFile,
+        loadFilter,
+        loadErrors,
+        watch,
+        watchDebounce,
+        evictDependencies,
+        include,
+        exclude,
+        ignoreFile,
+        followSymlinks,
+        disabledProvider,
+        disabledKey
     } = {}) {
         if (!(classToHandle.prototype instanceof Inhibitor || classToHandle === Inhibitor)) {
             throw new AkairoError('INVALID_CLASS_TO_HANDLE', classToHandle.name, Inhibitor.name);
@@ -26,13 +37,24 @@ class InhibitorHandler extends AkairoHandler {
             classToHandle,
             extensions,
             automateCategories,
-            loadFilter
+            categoryFile,
+            loadFilter,
+            loadErrors,
+            watch,
+            watchDebounce,
+            evictDependencies,
+            include,
+            exclude,
+            ignoreFile,
+            followSymlinks,
+            disabledProvider,
+            disabledKey
         });
 
         /**
          * Directory to inhibitors.
          * @name InhibitorHandler#directory
-         * @type {string}
+         * @type {string|string[]}
          */
 
         /**
@@ -48,12 +70,13 @@ class InhibitorHandler extends AkairoHandler {
      * @param {string} type - Type of inhibitor, 'all', 'pre', or 'post'.
      * @param {Message} message - Message to test.
      * @param {Command} [command] - Command to use.
+     * @param {boolean} [pureOnly=false] - Whether to only run inhibitors that have no side effects.
      * @returns {Promise<string|void>}
      */
-    async test(type, message, command) {
+    async test(type, message, command, pureOnly = false) {
         if (!this.modules.size) return null;
 
-        const inhibitors = this.modules.filter(i => i.type === type);
+        const inhibitors = this.modules.filter(i => i.type === type && i.isEnabledIn(message.guild) && (!pureOnly || i.pure));
         if (!inhibitors.size) return null;
 
         const promises = [];
@@ -103,7 +126,7 @@ class InhibitorHandler extends AkairoHandler {
      * Reads all inhibitors from the directory and loads them.
      * @method
      * @name InhibitorHandler#loadAll
-     * @param {string} [directory] - Directory to load from.
+     * @param {string|string[]} [directory] - Directory or directories to load from.
      * Defaults to the directory passed in the constructor.
      * @param {LoadPredicate} [filter] - Filter for files, where true means it should be loaded.
      * @returns {InhibitorHandler}
@@ -136,7 +159,9 @@ class InhibitorHandler extends AkairoHandler {
      * Reloads all inhibitors.
      * @method
      * @name InhibitorHandler#reloadAll
-     * @returns {InhibitorHandler}
+     * @param {Iterable<Inhibitor>} [inhibitors] - Inhibitors to reload.
+     * Defaults to all inhibitors in this handler.
+     * @returns {ReloadResults}
      */
 }
 
@@ -154,3 +179,25 @@ module.exports = InhibitorHandler;
  * @event InhibitorHandler#remove
  * @param {Inhibitor} inhibitor - Inhibitor removed.
  */
+
+/**
+ * Emitted when an inhibitor is reloaded.
+ * @event InhibitorHandler#reload
+ * @param {Inhibitor} inhibitor - Inhibitor reloaded.
+ */
+
+/**
+ * Emitted when an inhibitor fails to reload.
+ * The old inhibitor is kept when this happens.
+ * @event InhibitorHandler#reloadError
+ * @param {Error} error - The error.
+ * @param {Inhibitor} inhibitor - Inhibitor that failed to reload.
+ */
+
+/**
+ * Emitted when a watched file fails to load, reload, or be removed.
+ * Also emitted for each file that fails to load in `loadAll`, unless the `loadErrors` option is 'throw'.
+ * @event InhibitorHandler#loadError
+ * @param {Error} error - The error.
+ * @param {string} filepath - Filepath of the file.
+ */
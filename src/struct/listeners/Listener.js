@@ -10,11 +10,13 @@ class Listener extends AkairoModule {
      */
     constructor(id, {
         category,
+        dependencies,
+        stateVersion,
         emitter,
         event,
         type = 'on'
     } = {}) {
-        super(id, { category });
+        super(id, { category, dependencies, stateVersion });
 
         /**
          * The event emitter.
@@ -57,6 +59,29 @@ class Listener extends AkairoModule {
         throw new AkairoError('NOT_IMPLEMENTED', this.constructor.name, 'exec');
     }
 
+    /**
+     * Enables the listener and adds it back to its emitter.
+     * Returns false if the listener was already enabled.
+     * @returns {boolean}
+     */
+    enable() {
+        if (this.enabled) return false;
+        if (this.handler) this.handler.addToEmitter(this.id);
+        return super.enable();
+    }
+
+    /**
+     * Disables the listener and removes it from its emitter.
+     * Listeners cannot be disabled per guild, since events do not always come from a guild.
+     * Returns false if the listener was already disabled.
+     * @returns {boolean}
+     */
+    disable() {
+        if (!this.enabled) return false;
+        if (this.handler) this.handler.removeFromEmitter(this.id);
+        return super.disable();
+    }
+
     /**
      * Reloads the listener.
      * @method
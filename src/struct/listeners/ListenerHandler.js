@@ -14,9 +14,20 @@ class ListenerHandler extends AkairoHandler {
     constructor(client, {
         directory,
         classToHandle = Listener,
-        extensions = ['.js', '.ts'],
+        extensions = ['.js', '.ts', '.mjs', '.cjs'],
         automateCategories,
-        loadFilter
+        categoryFile,
+        loadFilter,
+        loadErrors,
+        watch,
+        watchDebounce,
+        evictDependencies,
+        include,
+        exclude,
+        ignoreFile,
+        followSymlinks,
+        disabledProvider,
+        disabledKey
     } = {}) {
         if (!(classToHandle.prototype instanceof Listener || classToHandle === Listener)) {
             throw new AkairoError('INVALID_CLASS_TO_HANDLE', classToHandle.name, Listener.name);
@@ -27,7 +38,18 @@ class ListenerHandler extends AkairoHandler {
             classToHandle,
             extensions,
             automateCategories,
-            loadFilter
+            categoryFile,
+            loadFilter,
+            loadErrors,
+            watch,
+            watchDebounce,
+            evictDependencies,
+            include,
+            exclude,
+            ignoreFile,
+            followSymlinks,
+            disabledProvider,
+            disabledKey
         });
 
         /**
@@ -41,7 +63,7 @@ class ListenerHandler extends AkairoHandler {
         /**
          * Directory to listeners.
          * @name ListenerHandler#directory
-         * @type {string}
+         * @type {string|string[]}
          */
 
         /**
@@ -60,7 +82,14 @@ class ListenerHandler extends AkairoHandler {
     register(listener, filepath) {
         super.register(listener, filepath);
         listener.exec = listener.exec.bind(listener);
-        this.addToEmitter(listener.id);
+
+        try {
+            if (listener.enabled) this.addToEmitter(listener.id);
+        } catch (err) {
+            super.deregister(listener);
+            throw err;
+        }
+
         return listener;
     }
 
@@ -138,7 +167,7 @@ class ListenerHandler extends AkairoHandler {
      * Reads all listeners from the directory and loads them.
      * @method
      * @name ListenerHandler#loadAll
-     * @param {string} [directory] - Directory to load from.
+     * @param {string|string[]} [directory] - Directory or directories to load from.
      * Defaults to the directory passed in the constructor.
      * @param {LoadPredicate} [filter] - Filter for files, where true means it should be loaded.
      * @returns {ListenerHandler}
@@ -171,7 +200,9 @@ class ListenerHandler extends AkairoHandler {
      * Reloads all listeners.
      * @method
      * @name ListenerHandler#reloadAll
-     * @returns {ListenerHandler}
+     * @param {Iterable<Listener>} [listeners] - Listeners to reload.
+     * Defaults to all listeners in this handler.
+     * @returns {ReloadResults}
      */
 }
 
@@ -189,3 +220,25 @@ module.exports = ListenerHandler;
  * @event ListenerHandler#remove
  * @param {Listener} listener - Listener removed.
  */
+
+/**
+ * Emitted when a listener is reloaded.
+ * @event ListenerHandler#reload
+ * @param {Listener} listener - Listener reloaded.
+ */
+
+/**
+ * Emitted when a listener fails to reload.
+ * The old listener is kept when this happens.
+ * @event ListenerHandler#reloadError
+ * @param {Error} error - The error.
+ * @param {Listener} listener - Listener that failed to reload.
+ */
+
+/**
+ * Emitted when a watched file fails to load, reload, or be removed.
+ * Also emitted for each file that fails to load in `loadAll`, unless the `loadErrors` option is 'throw'.
+ * @event ListenerHandler#loadError
+ * @param {Error} error - The error.
+ * @param {string} filepath - Filepath of the file.
+ */
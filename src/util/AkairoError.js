@@ -4,12 +4,27 @@ const Messages = {
     MODULE_NOT_FOUND: (constructor, id) => `${constructor} '${id}' does not exist`,
     ALREADY_LOADED: (constructor, id) => `${constructor} '${id}' is already loaded`,
     NOT_RELOADABLE: (constructor, id) => `${constructor} '${id}' is not reloadable`,
+    MISSING_DEPENDENCY: (constructor, id, dependency) => `${constructor} '${id}' depends on '${dependency}', which is not loaded`,
+    MODULE_REQUIRED: (constructor, id, dependent) => `${constructor} '${id}' is required by '${dependent}'`,
+    CIRCULAR_DEPENDENCY: ids => `Modules ${ids.map(id => `'${id}'`).join(' -> ')} depend on each other in a cycle`,
+    LOAD_FAILED: (constructor, filepaths) => `${filepaths.length} ${constructor} file(s) failed to load: ${filepaths.join(', ')}`,
+    INVALID_MODULE: (filepath, expected) => `File '${filepath}' does not export a subclass of ${expected}`,
     INVALID_CLASS_TO_HANDLE: (given, expected) => `Class to handle ${given} is not a subclass of ${expected}`,
 
+    // Plugin-related
+    PLUGIN_ALREADY_INSTALLED: id => `Plugin '${id}' is already installed`,
+    PLUGIN_NOT_INSTALLED: id => `Plugin '${id}' is not installed`,
+    NO_PLUGIN_HANDLER: (id, name) => `Plugin '${id}' has a module ${name}, but no handler of the client handles it`,
+
     // Command-related
     ALIAS_CONFLICT: (alias, id, conflict) => `Alias '${alias}' of '${id}' already exists on '${conflict}'`,
+    COMMAND_TIMED_OUT: (id, time) => `Command '${id}' timed out after ${time}ms`,
+    COMMAND_CANCELLED: id => `Command '${id}' was cancelled`,
+    MIDDLEWARE_NEXT_CALLED: 'Middleware called next() more than once',
+    HELP_COMMAND_NOT_HANDLED: expected => `The built-in help command is not a ${expected}, so it cannot be loaded`,
 
     // Options-related
+    NO_DISABLED_PROVIDER: constructor => `${constructor} handler has no provider for disabling modules per guild`,
     COMMAND_UTIL_EXPLICIT: 'The command handler options `handleEdits` and `storeMessages` require the `commandUtil` option to be true',
 
     // Generic errors
@@ -1,4 +1,5 @@
 const { Collection } = require('discord.js');
+const { serialize } = require('./Util');
 
 /** @extends Collection */
 class Category extends Collection {
@@ -6,8 +7,15 @@ class Category extends Collection {
      * A group of modules.
      * @param {string} id - ID of the category.
      * @param {Iterable} [iterable] - Entries to set.
+     * @param {CategoryOptions} [options={}] - Options for the category.
      */
-    constructor(id, iterable) {
+    constructor(id, iterable, {
+        name = id,
+        description = '',
+        order = 0,
+        hidden = false,
+        defaults = {}
+    } = {}) {
         super(iterable);
 
         /**
@@ -15,20 +23,110 @@ class Category extends Collection {
          * @type {string}
          */
         this.id = id;
+
+        /**
+         * Display name of the category.
+         * @type {string}
+         */
+        this.name = name;
+
+        /**
+         * Description of the category.
+         * @type {string}
+         */
+        this.description = description;
+
+        /**
+         * Position of the category when sorted, lowest first.
+         * @type {number}
+         */
+        this.order = order;
+
+        /**
+         * Whether or not the category should be hidden from listings.
+         * @type {boolean}
+         */
+        this.hidden = Boolean(hidden);
+
+        /**
+         * Default options for modules in this category.
+         * @type {Object}
+         */
+        this.defaults = defaults;
+
+        /**
+         * Keys of the options that modules took from the defaults, so that they can be applied again.
+         * @type {WeakMap<AkairoModule, string[]>}
+         */
+        this.appliedDefaults = new WeakMap();
     }
 
     /**
-     * Calls `reload()` on all items in this category.
+     * Updates the options of the category.
+     * Options that are not given are left as is.
+     * New defaults are applied again to the modules already in the category.
+     * @param {CategoryOptions} options - Options to set.
      * @returns {Category}
      */
-    reloadAll() {
-        for (const m of Array.from(this.values())) {
-            if (m.filepath) m.reload();
+    setOptions({ name, description, order, hidden, defaults }) {
+        if (name !== undefined) this.name = name;
+        if (description !== undefined) this.description = description;
+        if (order !== undefined) this.order = order;
+        if (hidden !== undefined) this.hidden = Boolean(hidden);
+        if (defaults !== undefined) {
+            this.defaults = defaults;
+            for (const mod of this.values()) this.reapplyDefaults(mod);
         }
 
         return this;
     }
 
+    /**
+     * Sets the default options of the category on a module, where the module has not set them itself.
+     * An option is not set when it is null or undefined.
+     * Functions are bound to the module.
+     * @param {AkairoModule} mod - Module to use.
+     * @param {Object} [fallbacks={}] - Values for options that are still not set after the defaults.
+     * These are unset again along with the defaults when the defaults are applied again.
+     * @returns {void}
+     */
+    applyDefaults(mod, fallbacks = {}) {
+        const applied = [];
+        for (const [key, value] of Object.entries(this.defaults)) {
+            if (mod[key] != null) continue;
+            mod[key] = typeof value === 'function' ? value.bind(mod) : value;
+            applied.push(key);
+        }
+
+        for (const [key, value] of Object.entries(fallbacks)) {
+            if (mod[key] != null) continue;
+            mod[key] = value;
+            applied.push(key);
+        }
+
+        this.appliedDefaults.set(mod, applied);
+    }
+
+    /**
+     * Sets the default options of the category on a module again, such as after the defaults changed.
+     * Options the module took from the old defaults are unset first, then the handler of the module applies them.
+     * @param {AkairoModule} mod - Module to use.
+     * @returns {void}
+     */
+    reapplyDefaults(mod) {
+        for (const key of this.appliedDefaults.get(mod) || []) mod[key] = null;
+        mod.handler.applyCategoryDefaults(mod);
+    }
+
+    /**
+     * Reloads all items in this category.
+     * @returns {ReloadResults}
+     */
+    reloadAll() {
+        if (!this.size) return { reloaded: new Collection(), failed: new Collection() };
+        return this.first().handler.reloadAll(this.values());
+    }
+
     /**
      * Calls `remove()` on all items in this category.
      * @returns {Category}
@@ -41,6 +139,22 @@ class Category extends Collection {
         return this;
     }
 
+    /**
+     * Returns a serializable description of the category, with the IDs of its modules.
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            description: this.description,
+            order: this.order,
+            hidden: this.hidden,
+            defaults: serialize(this.defaults),
+            modules: Array.from(this.keys())
+        };
+    }
+
     /**
      * Returns the ID.
      * @returns {string}
@@ -51,3 +165,17 @@ class Category extends Collection {
 }
 
 module.exports = Category;
+
+/**
+ * Options for a category.
+ * @typedef {Object} CategoryOptions
+ * @prop {string} [name] - Display name of the category.
+ * Defaults to the ID.
+ * @prop {string} [description=''] - Description of the category.
+ * @prop {number} [order=0] - Position of the category when sorted, lowest first.
+ * @prop {boolean} [hidden=false] - Whether or not the category should be hidden from listings.
+ * @prop {Object} [defaults={}] - Default options for modules in this category, applied when they are loaded.
+ * When they are changed, such as by reloading a category file, they are applied again to the modules already loaded.
+ * For commands, these can be `channel`, `ownerOnly`, `userPermissions`, `clientPermissions`, and `cooldown`.
+ * A module keeps its own value of an option if it has set one.
+ */
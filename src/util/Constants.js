@@ -53,17 +53,25 @@ module.exports = {
     },
     AkairoHandlerEvents: {
         LOAD: 'load',
-        REMOVE: 'remove'
+        RELOAD: 'reload',
+        RELOAD_ERROR: 'reloadError',
+        REMOVE: 'remove',
+        LOAD_ERROR: 'loadError'
     },
     CommandHandlerEvents: {
         MESSAGE_BLOCKED: 'messageBlocked',
         MESSAGE_INVALID: 'messageInvalid',
+        COMMAND_SUGGESTION: 'commandSuggestion',
+        COMMAND_DISABLED: 'commandDisabled',
         COMMAND_BLOCKED: 'commandBlocked',
         COMMAND_STARTED: 'commandStarted',
         COMMAND_FINISHED: 'commandFinished',
         COMMAND_CANCELLED: 'commandCancelled',
+        COMMAND_TIMEOUT: 'commandTimeout',
+        ARGUMENT_FAILED: 'argumentFailed',
         COMMAND_LOCKED: 'commandLocked',
         MISSING_PERMISSIONS: 'missingPermissions',
+        MISSING_SUBCOMMAND: 'missingSubcommand',
         COOLDOWN: 'cooldown',
         IN_PROMPT: 'inPrompt',
         ERROR: 'error'
@@ -73,6 +81,19 @@ module.exports = {
         BOT: 'bot',
         OWNER: 'owner',
         GUILD: 'guild',
-        DM: 'dm'
+        DM: 'dm',
+        DISABLED: 'disabled'
+    },
+    CooldownScopes: {
+        USER: 'user',
+        MEMBER: 'member',
+        CHANNEL: 'channel',
+        GUILD: 'guild',
+        ROLE: 'role',
+        GLOBAL: 'global'
+    },
+    CooldownWindows: {
+        FIXED: 'fixed',
+        SLIDING: 'sliding'
     }
 };
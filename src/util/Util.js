@@ -10,6 +10,88 @@ class Util {
         && typeof value.on === 'function'
         && typeof value.emit === 'function';
     }
+
+    static isDefinition(value) {
+        return value !== null
+        && typeof value === 'object'
+        && [Object.prototype, null].includes(Object.getPrototypeOf(value))
+        && typeof value.id === 'string';
+    }
+
+    static globToRegExp(glob) {
+        let source = '';
+        let groups = 0;
+
+        for (let i = 0; i < glob.length; i++) {
+            const char = glob[i];
+            if (char === '*') {
+                if (glob[i + 1] !== '*') {
+                    source += '[^/]*';
+                } else if (glob[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i++;
+                }
+            } else if (char === '?') {
+                source += '[^/]';
+            } else if (char === '[' && glob.indexOf(']', i + 1) !== -1) {
+                const end = glob.indexOf(']', i + 1);
+                source += glob.slice(i, end + 1).replace(/^\[!/, '[^');
+                i = end;
+            } else if (char === '{') {
+                source += '(?:';
+                groups++;
+            } else if (char === '}' && groups) {
+                source += ')';
+                groups--;
+            } else if (char === ',' && groups) {
+                source += '|';
+            } else {
+                source += char.replace(/[\\^$.|+()[\]{}]/g, '\\$&');
+            }
+        }
+
+        return new RegExp(`^${source}$`);
+    }
+
+    static distance(a, b) {
+        let previous = null;
+        let row = Array.from({ length: b.length + 1 }, (v, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const next = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+
+                if (previous && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    next[j] = Math.min(next[j], previous[j - 2] + 1);
+                }
+            }
+
+            previous = row;
+            row = next;
+        }
+
+        return row[b.length];
+    }
+
+    static serialize(value) {
+        if (typeof value === 'function') return null;
+        if (value instanceof RegExp) return value.toString();
+        if (Array.isArray(value)) return value.map(v => Util.serialize(v));
+        if (value && typeof value === 'object') {
+            if (typeof value.toJSON === 'function') return value.toJSON();
+
+            const res = {};
+            for (const [key, v] of Object.entries(value)) res[key] = Util.serialize(v);
+            return res;
+        }
+
+        return value;
+    }
 }
 
 module.exports = Util;
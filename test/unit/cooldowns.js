@@ -0,0 +1,109 @@
+const assert = require('assert');
+const { AkairoClient, Command, CommandHandler, CooldownStore, Provider } = require('../../src');
+
+class MemoryProvider extends Provider {
+    init() {
+        return undefined;
+    }
+
+    get(id, key, defaultValue) {
+        const data = this.items.get(id);
+        return data && data[key] != null ? data[key] : defaultValue;
+    }
+
+    async set(id, key, value) {
+        this.items.set(id, Object.assign({}, this.items.get(id), { [key]: value }));
+        await new Promise(resolve => setTimeout(resolve, 1));
+    }
+
+    delete(id, key) {
+        const data = this.items.get(id);
+        if (data) delete data[key];
+        return Promise.resolve();
+    }
+
+    clear(id) {
+        this.items.delete(id);
+        return Promise.resolve();
+    }
+}
+
+function setup(cooldownStore) {
+    const client = new AkairoClient();
+    const handler = new CommandHandler(client, { cooldownStore, cooldownSweepInterval: 0, ignoreCooldown: [] });
+    const command = new Command('test', { cooldown: 1000, ratelimit: 1 });
+    handler.register(command);
+    return { client, handler, command };
+}
+
+function message(id, authorID) {
+    return { id, author: { id: authorID }, channel: { id: '1' }, guild: null, createdTimestamp: Date.now() };
+}
+
+module.exports = {
+    async 'memory store expires and sweeps entries'() {
+        const store = CooldownStore.create();
+        assert.ok(store instanceof CooldownStore.MemoryCooldownStore);
+
+        store.set('a', { end: Date.now() + 1000, uses: 1 });
+        store.set('b', { end: Date.now() - 1, uses: 1 });
+        assert.strictEqual(store.get('a').uses, 1);
+        assert.strictEqual(await store.sweep(Date.now()), 1);
+        assert.strictEqual(store.get('b'), null);
+    },
+
+    async 'provider store keeps every entry in one provider entry'() {
+        const provider = new MemoryProvider();
+        const store = CooldownStore.create(provider);
+        assert.ok(store instanceof CooldownStore.ProviderCooldownStore);
+
+        await store.set('a', { end: Date.now() + 1000, uses: 1 });
+        await store.set('b', { end: Date.now() - 1, uses: 1 });
+        assert.deepStrictEqual(Array.from(provider.items.keys()), ['cooldowns']);
+        assert.strictEqual((await store.get('a')).uses, 1);
+
+        assert.strictEqual(await store.sweep(Date.now()), 1);
+        assert.deepStrictEqual(Object.keys(store.getEntries()), ['a']);
+        assert.strictEqual(provider.items.size, 1);
+    },
+
+    async 'updates of the same entry do not overlap'() {
+        const store = CooldownStore.create(new MemoryProvider());
+        const updates = Array.from({ length: 5 }, () => store.update('a', entry => ({
+            end: Date.now() + 1000,
+            uses: entry ? entry.uses + 1 : 1
+        })));
+
+        await Promise.all(updates);
+        assert.strictEqual((await store.get('a')).uses, 5);
+        assert.strictEqual(store.queues.size, 0);
+    },
+
+    async 'messages sent together are not all let through'() {
+        for (const store of [undefined, new MemoryProvider()]) {
+            const { client, handler, command } = setup(store);
+            let cooldowns = 0;
+            handler.on('cooldown', () => cooldowns++);
+
+            const messages = [message('1', 'x'), message('2', 'y'), message('3', 'x'), message('4', 'y')];
+            // eslint-disable-next-line no-await-in-loop
+            const results = await Promise.all(messages.map(m => handler.runCooldowns(m, command)));
+            assert.deepStrictEqual(results, [false, false, true, true]);
+            assert.strictEqual(cooldowns, 2);
+            assert.strictEqual(handler.metrics.get(command).cooldowns, 2);
+            client.destroy();
+        }
+    },
+
+    async 'cooldowns getter is backed by the memory store'() {
+        const { client, handler, command } = setup();
+        await handler.runCooldowns(message('1', 'x'), command);
+        assert.strictEqual(handler.cooldowns, handler.cooldownStore.entries);
+        assert.strictEqual(handler.cooldowns.size, 1);
+        client.destroy();
+
+        const other = setup(new MemoryProvider());
+        assert.strictEqual(other.handler.cooldowns, null);
+        other.client.destroy();
+    }
+};
@@ -0,0 +1,9 @@
+const { AkairoModule } = require('../../../../src');
+
+class A extends AkairoModule {
+    constructor() {
+        super('a');
+    }
+}
+
+module.exports = A;
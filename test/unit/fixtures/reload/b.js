@@ -0,0 +1,9 @@
+const { AkairoModule } = require('../../../../src');
+
+class B extends AkairoModule {
+    constructor() {
+        super('b', { dependencies: ['a'] });
+    }
+}
+
+module.exports = B;
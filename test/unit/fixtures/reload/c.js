@@ -0,0 +1,9 @@
+const { AkairoModule } = require('../../../../src');
+
+class C extends AkairoModule {
+    constructor() {
+        super('c', { dependencies: ['b', 'a'] });
+    }
+}
+
+module.exports = C;
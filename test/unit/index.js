@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+
+async function run() {
+    const files = fs.readdirSync(__dirname).filter(file => file.endsWith('.js') && file !== 'index.js');
+    let failed = 0;
+
+    for (const file of files) {
+        const tests = require(path.join(__dirname, file));
+        for (const [name, test] of Object.entries(tests)) {
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                await test();
+                console.log(`ok - ${file}: ${name}`); // eslint-disable-line no-console
+            } catch (err) {
+                failed++;
+                console.error(`not ok - ${file}: ${name}`); // eslint-disable-line no-console
+                console.error(err); // eslint-disable-line no-console
+            }
+        }
+    }
+
+    // Clients of failed tests may not have been destroyed, so exit instead of waiting for their timers.
+    process.exit(failed ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,62 @@
+const assert = require('assert');
+const { AkairoClient, Command, CommandHandler, CommandMetrics } = require('../../src');
+
+module.exports = {
+    'serializes counters, blocks, and histograms'() {
+        const metrics = new CommandMetrics(null, { buckets: [100, 10] });
+        metrics.increment('ping', 'invocations');
+        metrics.increment('ping', 'invocations');
+        metrics.block('ping', 'owner');
+        metrics.observe('ping', 'exec', 50);
+        metrics.observe('ping', 'exec', 500);
+
+        const lines = CommandMetrics.serialize(metrics.snapshot(), 'bot').split('\n');
+        assert.ok(lines.includes('# TYPE bot_command_invocations_total counter'));
+        assert.ok(lines.includes('bot_command_invocations_total{command="ping"} 2'));
+        assert.ok(lines.includes('bot_command_permission_denials_total{command="ping"} 0'));
+        assert.ok(lines.includes('bot_command_blocks_total{command="ping",reason="owner"} 1'));
+        assert.ok(lines.includes('bot_command_exec_duration_seconds_bucket{command="ping",le="0.01"} 0'));
+        assert.ok(lines.includes('bot_command_exec_duration_seconds_bucket{command="ping",le="0.1"} 1'));
+        assert.ok(lines.includes('bot_command_exec_duration_seconds_bucket{command="ping",le="+Inf"} 2'));
+        assert.ok(lines.includes('bot_command_exec_duration_seconds_sum{command="ping"} 0.55'));
+        assert.ok(lines.includes('bot_command_exec_duration_seconds_count{command="ping"} 2'));
+        assert.strictEqual(metrics.toPrometheus(), CommandMetrics.serialize(metrics.snapshot(), 'akairo'));
+    },
+
+    'escapes label values'() {
+        const metrics = new CommandMetrics(null);
+        metrics.increment('a "b"\\c\nd', 'errors');
+
+        const text = CommandMetrics.serialize(metrics.snapshot());
+        assert.ok(text.includes('akairo_command_errors_total{command="a \\"b\\"\\\\c\\nd"} 1\n'));
+    },
+
+    'snapshots are copies'() {
+        const metrics = new CommandMetrics(null);
+        metrics.block('ping', 'guild');
+
+        const snapshot = metrics.snapshot();
+        metrics.block('ping', 'guild');
+        metrics.observe('ping', 'parse', 1);
+        assert.strictEqual(snapshot.ping.blocks.guild, 1);
+        assert.strictEqual(snapshot.ping.parse.count, 0);
+    },
+
+    async 'counts disabled commands as blocks'() {
+        const client = new AkairoClient();
+        try {
+            const handler = new CommandHandler(client);
+            const command = new Command('ping', { aliases: ['ping'] });
+            command.exec = () => null;
+            command.isEnabledIn = () => false;
+            handler.register(command);
+
+            const message = { id: '1', content: '!ping', author: { id: '2' }, channel: { id: '3' }, guild: null };
+            assert.strictEqual(await handler.handleDirectCommand(message, '', command), false);
+            assert.strictEqual(handler.metrics.get(command).invocations, 1);
+            assert.deepStrictEqual(handler.metrics.get(command).blocks, { disabled: 1 });
+        } finally {
+            client.destroy();
+        }
+    }
+};
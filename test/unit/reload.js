@@ -0,0 +1,43 @@
+const assert = require('assert');
+const path = require('path');
+const { AkairoClient, AkairoHandler } = require('../../src');
+
+function setup() {
+    const client = new AkairoClient();
+    const handler = new AkairoHandler(client, { directory: path.join(__dirname, 'fixtures', 'reload') });
+    handler.loadAll();
+
+    const reloaded = [];
+    handler.on('reload', mod => reloaded.push(mod.id));
+    return { client, handler, reloaded };
+}
+
+module.exports = {
+    'reloads dependents after the module they depend on'() {
+        const { client, handler, reloaded } = setup();
+        const old = handler.modules.get('b');
+
+        handler.reload('a');
+        assert.deepStrictEqual(reloaded, ['a', 'b', 'c']);
+        assert.notStrictEqual(handler.modules.get('b'), old);
+        client.destroy();
+    },
+
+    'reloads each module once when reloading several'() {
+        const { client, handler, reloaded } = setup();
+
+        const results = handler.reloadAll([handler.modules.get('c'), handler.modules.get('b'), handler.modules.get('a')]);
+        assert.deepStrictEqual(reloaded, ['a', 'b', 'c']);
+        assert.deepStrictEqual(Array.from(results.reloaded.keys()).sort(), ['a', 'b', 'c']);
+        client.destroy();
+    },
+
+    'stops at cycles'() {
+        const { client, handler, reloaded } = setup();
+        handler.modules.get('a').dependencies = ['c'];
+
+        handler.reload('a');
+        assert.deepStrictEqual(reloaded.sort(), ['a', 'b', 'c']);
+        client.destroy();
+    }
+};